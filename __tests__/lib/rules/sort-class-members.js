@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Tests for sort-class-members rule.
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/sort-class-members')
+const RuleTester = require('eslint').RuleTester
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({ parserOptions: { ecmaVersion: 2022 } })
+
+ruleTester.run('sort-class-members', rule, {
+  valid: [
+    // default groups
+    {
+      code: 'class A { static b = 1; a = 1; c; constructor() {} static create() {} get x() {} set x(v) {} m() {} n() {} }',
+      options: [],
+    },
+    { code: 'class A { a() {} b() {} }', options: [] },
+    { code: 'class A { get b() {} set b(v) {} get a() {} }', options: ['desc'] },
+    { code: 'class A { b() {} a() {} }', options: ['desc'] },
+    { code: 'class A { #a = 1; b = 2; #c() {} d() {} }', options: [] },
+
+    // getters and setters stay together, in either order
+    { code: 'class A { set a(v) {} get a() {} get b() {} }', options: [] },
+
+    // members without a static name and static blocks are left in place
+    { code: 'class A { b() {} [foo]() {} a() {} }', options: [] },
+    { code: 'class A { static b = 1; static { init() } static a = 2 }', options: [] },
+
+    // minKeys, ignoreSingleLine, allowLineSeparatedGroups
+    { code: 'class A { b() {} a() {} }', options: ['asc', { minKeys: 3 }] },
+    { code: 'class A { b() {} a() {} }', options: ['asc', { ignoreSingleLine: true }] },
+    {
+      code: 'class A {\n  b() {}\n  c() {}\n\n  a() {}\n}',
+      options: ['asc', { allowLineSeparatedGroups: true }],
+    },
+
+    // custom groups
+    {
+      code: 'class A { m() {} constructor() {} #a = 1; #b() {} }',
+      options: ['asc', { groups: ['methods', 'constructor', 'private'] }],
+    },
+    {
+      code: 'class A { a = 1; constructor() {} b() {} }',
+      options: ['asc', { groups: ['instance-fields', 'constructor'] }],
+    },
+
+    // overrides
+    {
+      code: 'class Component { state = {}; props = {}; render() {} componentDidMount() {} }',
+      options: ['asc', { overrides: [{ properties: ['Component'], order: ['state', 'props', 'render'] }] }],
+    },
+    {
+      code: 'const Legacy = class { b() {} a() {} }',
+      options: ['asc', { overrides: [{ properties: ['Legacy'], ignore: true }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: 'class A { b() {} a() {} }',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: 'class A { a() {} b() {} }',
+    },
+    {
+      code: 'export default class { a() {} b() {} }',
+      options: ['asc', { overrides: [{ order: ['b', 'a'] }] }],
+      parserOptions: { sourceType: 'module' },
+      errors: ["Expected class members to be in custom order. 'b' should be before 'a'."],
+      output: 'export default class { b() {} a() {} }',
+    },
+    {
+      code: 'class A { m() {} constructor() {} a = 1; static b = 2; }',
+      errors: [
+        "Expected constructor to be before methods. 'constructor' should be before 'm'.",
+        "Expected instance fields to be before constructor. 'a' should be before 'constructor'.",
+        "Expected static fields to be before instance fields. 'b' should be before 'a'.",
+      ],
+      output: 'class A { static b = 2; a = 1; constructor() {} m() {} }',
+    },
+    {
+      code: 'class A {\n  get b() {}\n  a() {}\n  set b(v) {}\n}',
+      errors: ["Expected accessors to be before methods. 'b' should be before 'a'."],
+      output: 'class A {\n  get b() {}\n  set b(v) {}\n  a() {}\n}',
+    },
+    {
+      code: 'class A { #b() {} a() {} #a = 1; }',
+      options: ['asc', { groups: ['private', 'methods'] }],
+      errors: ["Expected private members to be before methods. '#a' should be before 'a'."],
+      output: 'class A { #a = 1; #b() {} a() {} }',
+    },
+    {
+      code: 'class A {\n  b() {}\n  /** docs */\n  a() {}\n}',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: 'class A {\n  /** docs */\n  a() {}\n  b() {}\n}',
+    },
+    {
+      code: 'class A {\n  a() {} // about a\n  b = 1; // about b\n}',
+      errors: ["Expected instance fields to be before methods. 'b' should be before 'a'."],
+      output: 'class A {\n  b = 1; // about b\n  a() {} // about a\n}',
+    },
+    {
+      code: 'class A { b() {} a() {} [foo]() {} d() {} c() {} }',
+      errors: [
+        "Expected class members to be in ascending order. 'a' should be before 'b'.",
+        "Expected class members to be in ascending order. 'c' should be before 'd'.",
+      ],
+      output: 'class A { a() {} b() {} [foo]() {} c() {} d() {} }',
+    },
+    {
+      code: 'class Component { render() {} state = {}; }',
+      options: ['asc', { overrides: [{ properties: ['Component'], order: ['state', 'render'] }] }],
+      errors: ["Expected Component class members to be in custom order. 'state' should be before 'render'."],
+      output: 'class Component { state = {}; render() {} }',
+    },
+
+    // not fixable when a field initializer may read another field
+    {
+      code: 'class A { b = 1; a = this.b }',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: null,
+    },
+    {
+      code: 'class A { static b = 1; static a = A.b }',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: null,
+    },
+    {
+      code: 'class A { b = 1; a = () => this.b; }',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: 'class A { a = () => this.b; b = 1; }',
+    },
+
+    // not fixable when a field without a semicolon could be joined to the next member
+    {
+      code: "class A {\n  b = 1\n  c() {}\n  ['a']() {}\n}",
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'c'."],
+      output: null,
+    },
+    {
+      code: 'class A { b = 1; a = 2 }',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: null,
+    },
+  ],
+})
+
+const tsRuleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+})
+
+tsRuleTester.run('sort-class-members (typescript)', rule, {
+  valid: [
+    { code: 'abstract class A { abstract a: string; b = 1; abstract c(): void; d() {} }', options: [] },
+    { code: 'class A { foo(a: string): void; foo(a: any) {} bar() {} }', options: ['desc'] },
+  ],
+  invalid: [
+    {
+      code: 'class A {\n  // comment\n  @Input() b: string;\n  @Input()\n  a: string;\n}',
+      errors: ["Expected class members to be in ascending order. 'a' should be before 'b'."],
+      output: 'class A {\n  @Input()\n  a: string;\n  // comment\n  @Input() b: string;\n}',
+    },
+    {
+      code: 'class A { foo(a: string): void; foo(a: any) {} bar() {} }',
+      errors: ["Expected class members to be in ascending order. 'bar' should be before 'foo'."],
+      output: 'class A { bar() {} foo(a: string): void; foo(a: any) {} }',
+    },
+  ],
+})
@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests for sort-enum-members rule.
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/sort-enum-members')
+const RuleTester = require('eslint').RuleTester
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+})
+
+ruleTester.run('sort-enum-members', rule, {
+  valid: [
+    { code: "enum A { a = 'a', b = 'b', c = 'c' }", options: [] },
+    { code: "enum A { c = 'c', b = 'b', a = 'a' }", options: ['desc'] },
+    { code: "enum A { 'a-b' = 1, b = 2 }", options: [] },
+    { code: 'enum A { b = 1, a = 2 }', options: ['asc', { minKeys: 3 }] },
+    { code: 'enum A {\n  b = 1,\n  c = 2,\n\n  a = 3,\n}', options: ['asc', { allowLineSeparatedGroups: true }] },
+    {
+      code: "enum Level { Low = 'low', Medium = 'medium', High = 'high' }",
+      options: ['asc', { overrides: [{ properties: ['Level'], order: ['Low', 'Medium', 'High'] }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "enum A { b = 'b', a = 'a' }",
+      errors: ["Expected enum members to be in ascending order. 'a' should be before 'b'."],
+      output: "enum A { a = 'a', b = 'b' }",
+    },
+    {
+      code: "const enum A {\n  c = 'c', // about c\n  /** about b */\n  b = 'b',\n  a = 'a'\n}",
+      errors: [
+        "Expected enum members to be in ascending order. 'b' should be before 'c'.",
+        "Expected enum members to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: "const enum A {\n  a = 'a',\n  /** about b */\n  b = 'b',\n  c = 'c' // about c\n}",
+    },
+    {
+      code: "enum Level { High = 'high', Low = 'low' }",
+      options: ['asc', { overrides: [{ properties: ['Level'], order: ['Low', 'High'] }] }],
+      errors: ["Expected Level enum members to be in custom order. 'Low' should be before 'High'."],
+      output: "enum Level { Low = 'low', High = 'high' }",
+    },
+
+    // not fixable when the values depend on the order of the members
+    {
+      code: 'enum A { b, a }',
+      errors: ["Expected enum members to be in ascending order. 'a' should be before 'b'."],
+      output: null,
+    },
+    {
+      code: 'enum A { b = 1, a }',
+      errors: ["Expected enum members to be in ascending order. 'a' should be before 'b'."],
+      output: null,
+    },
+    {
+      code: 'enum A { c = 1, b = c << 1, a = A.b << 1 }',
+      errors: [
+        "Expected enum members to be in ascending order. 'b' should be before 'c'.",
+        "Expected enum members to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: null,
+    },
+  ],
+})
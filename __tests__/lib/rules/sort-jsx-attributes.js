@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests for sort-jsx-attributes rule.
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/sort-jsx-attributes')
+const RuleTester = require('eslint').RuleTester
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({ parserOptions: { ecmaVersion: 2018, ecmaFeatures: { jsx: true } } })
+
+ruleTester.run('sort-jsx-attributes', rule, {
+  valid: [
+    { code: '<App a="1" b={2} c />', options: [] },
+    { code: '<App c b a />', options: ['desc'] },
+    { code: '<App a="1" b={2} xlink:href="#c" />', options: [] },
+
+    // spreads are barriers
+    { code: '<App a={1} b {...props} a />', options: [] },
+    { code: '<App b {...props} a />', options: [] },
+
+    // shorthand and allCaps
+    { code: '<App disabled hidden a="1" b="2" />', options: ['asc', { shorthand: 'first' }] },
+    { code: '<App a="1" b="2" disabled hidden />', options: ['asc', { shorthand: 'last' }] },
+    { code: '<App ID="1" a="2" />', options: ['asc', { allCaps: 'first' }] },
+
+    // minKeys, ignoreSingleLine, allowLineSeparatedGroups
+    { code: '<App b a />', options: ['asc', { minKeys: 3 }] },
+    { code: '<App b a />', options: ['asc', { ignoreSingleLine: true }] },
+    { code: '<App\n  b\n  c\n\n  a\n/>', options: ['asc', { allowLineSeparatedGroups: true }] },
+
+    // overrides match the component name
+    {
+      code: '<Input name="a" type="text" onChange={f} value={a} />',
+      options: ['asc', { overrides: [{ properties: ['Input'], order: ['name', 'type', '...'] }] }],
+    },
+    {
+      code: '<Form.Field z a />',
+      options: ['asc', { overrides: [{ properties: ['Form.Field'], ignore: true }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: '<App b="1" a={2} />',
+      errors: ["Expected JSX attributes to be in ascending order. 'a' should be before 'b'."],
+      output: '<App a={2} b="1" />',
+    },
+    {
+      code: '<App\n  c={3} // about c\n  b\n  a="1"\n>\n  text\n</App>',
+      errors: [
+        "Expected JSX attributes to be in ascending order. 'b' should be before 'c'.",
+        "Expected JSX attributes to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: '<App\n  a="1"\n  b\n  c={3} // about c\n>\n  text\n</App>',
+    },
+    {
+      code: '<App d c {...props} b a />',
+      errors: [
+        "Expected JSX attributes to be in ascending order. 'c' should be before 'd'.",
+        "Expected JSX attributes to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: '<App c d {...props} a b />',
+    },
+    {
+      code: '<App c {...props} b a />',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics' }],
+      errors: [
+        "Expected JSX attributes to be in ascending order. 'b' should be before 'c'.",
+        "Expected JSX attributes to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: '<App a {...props} b c />',
+    },
+    {
+      code: '<App a="1" disabled />',
+      options: ['asc', { shorthand: 'first' }],
+      errors: ["Expected shorthand attributes to be first. 'disabled' should be before 'a'."],
+      output: '<App disabled a="1" />',
+    },
+    {
+      code: '<svg:rect xlink:href="#a" x="2" />',
+      errors: ["Expected JSX attributes to be in ascending order. 'x' should be before 'xlink:href'."],
+      output: '<svg:rect x="2" xlink:href="#a" />',
+    },
+    {
+      code: '<Input value={a} name="a" />',
+      options: ['asc', { overrides: [{ properties: ['Input'], order: ['name', '...'] }] }],
+      errors: ["Expected Input attributes to be in custom order. 'name' should be before 'value'."],
+      output: '<Input name="a" value={a} />',
+    },
+    {
+      code: '<a className="link" href="#" />',
+      options: ['asc', { overrides: [{ esquery: 'JSXOpeningElement[name.name="a"]', order: ['href', '...'] }] }],
+      errors: ["Expected a attributes to be in custom order. 'href' should be before 'className'."],
+      output: '<a href="#" className="link" />',
+    },
+  ],
+})
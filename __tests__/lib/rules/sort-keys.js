@@ -12,11 +12,64 @@
 const path = require('path')
 const rule = require('../../../lib/rules/sort-keys')
 const RuleTester = require('eslint').RuleTester
+const ESLint = require('eslint').ESLint
 
 // ------------------------------------------------------------------------------
 // Tests
 // ------------------------------------------------------------------------------
 
+// Override which checks the keys of an object as well as their order
+const lookupOverride = {
+  properties: ['$lookup'],
+  order: ['from', 'localField', 'foreignField', 'as'],
+  unknownKeys: 'error',
+  requiredKeys: ['from', 'as'],
+}
+
+// More keys than could be handled by precomputing every subset of the override order
+const httpHeaders = [
+  'Accept',
+  'Accept-Charset',
+  'Accept-Encoding',
+  'Accept-Language',
+  'Access-Control-Request-Headers',
+  'Access-Control-Request-Method',
+  'Authorization',
+  'Cache-Control',
+  'Connection',
+  'Content-Encoding',
+  'Content-Length',
+  'Content-MD5',
+  'Content-Type',
+  'Cookie',
+  'Date',
+  'DNT',
+  'Expect',
+  'Forwarded',
+  'From',
+  'Host',
+  'If-Match',
+  'If-Modified-Since',
+  'If-None-Match',
+  'If-Range',
+  'If-Unmodified-Since',
+  'Max-Forwards',
+  'Origin',
+  'Pragma',
+  'Prefer',
+  'Proxy-Authorization',
+  'Range',
+  'Referer',
+  'TE',
+  'Trailer',
+  'Transfer-Encoding',
+  'Upgrade',
+  'User-Agent',
+  'Via',
+  'Warning',
+  'X-Requested-With',
+].reverse()
+
 const test = {
   valid: [
     // default (asc)
@@ -32,6 +85,11 @@ const test = {
     { code: 'var obj = {a:1, b:3, [a + b]: -1, c:2}', options: [], parserOptions: { ecmaVersion: 6 } },
     { code: "var obj = {'':1, [f()]:2, a:3}", options: [], parserOptions: { ecmaVersion: 6 } },
     { code: "var obj = {a:1, [b++]:2, '':3}", options: ['desc'], parserOptions: { ecmaVersion: 6 } },
+    {
+      code: 'var obj = {c:1, [f()]:2, a:3}',
+      options: ['asc', { report: 'object' }],
+      parserOptions: { ecmaVersion: 6 },
+    },
 
     // ignore properties separated by spread properties
     { code: 'var obj = {a:1, ...z, b:1}', options: [], parserOptions: { ecmaVersion: 2018 } },
@@ -52,6 +110,18 @@ const test = {
       parserOptions: { ecmaVersion: 2018 },
     },
 
+    // sort across spread properties when override semantics are ignored
+    {
+      code: 'var obj = {a:1, ...z, b:1, ...y, c:1}',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics' }],
+      parserOptions: { ecmaVersion: 2018 },
+    },
+    {
+      code: 'var obj = {b:1, ...z, a:1, b:2}',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics' }],
+      parserOptions: { ecmaVersion: 2018 },
+    },
+
     // works when spread occurs somewhere other than an object literal
     { code: 'function fn(...args) { return [...args].length; }', options: [], parserOptions: { ecmaVersion: 2018 } },
     {
@@ -62,6 +132,13 @@ const test = {
 
     // ignore destructuring patterns.
     { code: 'let {a, b} = {}', options: [], parserOptions: { ecmaVersion: 6 } },
+    { code: 'let {b, a} = {}', options: [], parserOptions: { ecmaVersion: 6 } },
+
+    // destructuring patterns
+    { code: 'let {a, b = 1, c: d} = {}', options: ['asc', { patterns: true }], parserOptions: { ecmaVersion: 6 } },
+    { code: 'let {a, c, ...b} = {}', options: ['asc', { patterns: true }], parserOptions: { ecmaVersion: 2018 } },
+    { code: 'function f({a, b: {x, y}}) {}', options: ['asc', { patterns: true }], parserOptions: { ecmaVersion: 6 } },
+    { code: '({a, b} = {})', options: ['asc', { patterns: true }], parserOptions: { ecmaVersion: 6 } },
 
     // nested
     { code: 'var obj = {a:1, b:{x:1, y:1}, c:1}', options: [] },
@@ -366,6 +443,16 @@ const test = {
       options: ['asc', { allowLineSeparatedGroups: true }],
       parserOptions: { ecmaVersion: 2018 },
     },
+
+    // allowCommentSeparatedGroups option
+    {
+      code: 'var obj = {\n  // --- b ---\n  y: 1,\n  z: 2,\n  /* --- a --- */\n  a: 3,\n  b: 4,\n}',
+      options: ['asc', { allowCommentSeparatedGroups: true }],
+    },
+    {
+      code: 'var obj = {\n  z: 1,\n  // #region handlers\n  a: 2,\n}',
+      options: ['asc', { allowCommentSeparatedGroups: '^#region' }],
+    },
     { code: 'var obj = {a:1, _:2, b:3}', options: ['desc', { natural: true, caseSensitive: false, minKeys: 4 }] },
 
     // ALL_CAPS first
@@ -448,6 +535,196 @@ const test = {
       ],
     },
 
+    // overrides matching the keys leading to the object
+    {
+      code: 'var config = {module: {rules: [{test: 1, use: {options: 2, loader: 3}}]}, use: {loader: 4, options: 5}}',
+      options: ['asc', { overrides: [{ path: 'module.rules[].use', order: ['options', 'loader'] }] }],
+    },
+    {
+      code: 'db.aggregate([{$lookup: {from: 1, localField: 2, foreignField: 3, as: 4}}, {$facet: {a: [{$lookup: {from: 1, as: 2}}]}}])',
+      options: ['asc', { overrides: [{ path: '**.$lookup', order: ['from', 'localField', 'foreignField', 'as'] }] }],
+    },
+    {
+      code: 'var a = {b: {scripts: {a: 1, z: 2}}, scripts: {z: 1, a: 2}}',
+      options: ['asc', { overrides: [{ path: 'scripts', ignore: true }] }],
+    },
+
+    // unknown and missing keys
+    {
+      code: "db.a.aggregate([{$lookup: {from: 'b', localField: 'c', foreignField: 'd', as: 'e'}}, {$lookup: {from: 'b', as: 'e'}}])",
+      options: ['asc', { overrides: [lookupOverride] }],
+    },
+    {
+      code: "var obj = {$lookup: {from: 'b', ...rest}, other: {from: 'b', x: 1}}",
+      options: ['asc', { overrides: [lookupOverride] }],
+      parserOptions: { ecmaVersion: 2018 },
+    },
+    {
+      code: "var obj = {a: 1, ['b']: 2, [c]: 3}",
+      options: [
+        'asc',
+        { overrides: [{ variable: 'obj', order: ['a', '/^b/', 'd'], unknownKeys: 'error', requiredKeys: ['d'] }] },
+      ],
+      parserOptions: { ecmaVersion: 6 },
+    },
+
+    // directive comments
+    { code: 'var obj = /* sort-keys-plus ignore */ {b: {x: 1, y: 2}, a: 1}' },
+    { code: "// sort-keys-plus order: id, name, ...\nvar user = {id: 1, name: 'a', age: 2, email: 'b'}" },
+    { code: 'var obj = {\n  a: 1,\n  // sort-keys-plus desc natural\n  versions: {a10: 1, a9: 2, a1: 3},\n}' },
+    { code: 'var obj = /* sort-keys-plus insensitive */ {a: 1, B: 2}' },
+    { code: 'var a = {x: /* sort-keys-plus ignore */ {b: 1, a: 2}}' },
+    {
+      code: '// sort-keys-plus order: a, b\nvar obj = {a: 1, b: 2}',
+      options: ['asc', { overrides: [{ variable: 'obj', order: ['b', 'a'] }] }],
+    },
+
+    // presets
+    {
+      code: "db.users.find({}).sort({b: 1, a: -1}); db.users.createIndex({z: 1, a: 1}, {name: 'za', unique: true})",
+      options: ['asc', { overrides: [{ preset: 'mongodb' }] }],
+    },
+    {
+      code: "db.orders.aggregate([{$group: {_id: '$c', total: {$sum: 1}}}, {$sort: {total: -1, _id: 1}}, {$unwind: {path: '$a', preserveNullAndEmptyArrays: true}}])",
+      options: ['asc', { overrides: [{ preset: 'mongodb' }] }],
+    },
+    {
+      code: "module.exports = {root: true, extends: ['a'], rules: {}, overrides: [{files: ['*.ts'], parser: 'p', rules: {}}]}",
+      options: ['asc', { overrides: [{ preset: 'eslintrc' }] }],
+    },
+
+    // overrides matching where the object is written
+    {
+      code: "var routesMain = {path: '/', name: 'home'}; var other = {name: 1, path: 2}",
+      options: ['asc', { overrides: [{ variable: 'routes*', order: ['path', '...'] }] }],
+    },
+    {
+      code: "defineConfig({root: '.', plugins: []}); styled.div({position: 'relative', color: 'red'})",
+      options: [
+        'asc',
+        {
+          overrides: [
+            { callee: 'defineConfig', order: ['root', '...'] },
+            { callee: 'styled.*', order: ['position', '...'] },
+          ],
+        },
+      ],
+    },
+    {
+      code: "fetch(url, {method: 'POST', body: data})",
+      options: ['asc', { overrides: [{ callee: 'fetch', argumentIndex: 1, order: ['method', '...'] }] }],
+    },
+    {
+      code: 'new Foo({b: 1, a: 2}); foo.bar({b: 1, a: 2})',
+      options: ['asc', { overrides: [{ callee: '/^(Foo|foo\\.bar)$/', ignore: true }] }],
+    },
+
+    // groups
+    {
+      code: 'var obj = {__proto__: null, a: 1, z: 2, b() {}, onChange: f, onClick: f}',
+      options: ['asc', { groups: [{ key: '__proto__' }, '...', { value: 'method' }, { key: 'on*' }] }],
+      parserOptions: { ecmaVersion: 6 },
+    },
+    {
+      code: 'var obj = {a: 1, b: () => {}, c: function () {}, d() {}}',
+      options: ['asc', { groups: [{ value: 'literal' }, { value: ['arrow', 'function', 'method'] }] }],
+      parserOptions: { ecmaVersion: 6 },
+    },
+    {
+      code: 'var obj = {get a() {}, set a(v) {}, b: {}, c: [], d: x}',
+      options: ['asc', { groups: [{ value: ['getter', 'setter'] }, { value: 'object' }, { value: 'array' }] }],
+    },
+    {
+      code: "var obj = {a, c, 'b': 1, 'd': 2, f: 4, [e]: 3}",
+      options: ['asc', { groups: [{ shorthand: true }, { quoted: true }, '...', { computed: true }] }],
+      parserOptions: { ecmaVersion: 6 },
+    },
+    {
+      code: 'var obj = {B: 1, C: 2, a: 3}',
+      options: ['asc', { groups: [{ allCaps: true, key: '/^[A-Z]$/' }] }],
+    },
+    {
+      code: 'var obj = {b: 1, a: function () {}}',
+      options: ['asc', { groups: [{ value: 'literal' }], overrides: [{ properties: ['x'], order: ['a'] }] }],
+    },
+
+    // locale
+    { code: "var obj = {'à': 1, b: 2, 'é': 3, 'ß': 4}", options: ['asc', { locale: 'de' }] },
+    { code: "var obj = {'ß': 1, 'é': 2, b: 3, 'à': 4}", options: ['desc', { locale: 'de' }] },
+    { code: 'var obj = {a: 1, B: 2, c: 3}', options: ['asc', { locale: 'en', caseSensitive: false }] },
+    { code: 'var obj = {b: 1, B: 2}', options: ['asc', { locale: 'en', collation: { caseFirst: 'lower' } }] },
+    { code: 'var obj = {B: 1, b: 2}', options: ['asc', { locale: 'en', collation: { caseFirst: 'upper' } }] },
+    { code: 'var obj = {a2: 1, a10: 2}', options: ['asc', { locale: 'default', natural: true }] },
+    { code: 'var obj = {a2: 1, a10: 2}', options: ['asc', { locale: 'en', collation: { numeric: true } }] },
+    { code: "var obj = {ab: 1, 'a-c': 2}", options: ['asc', { locale: 'en', collation: { ignorePunctuation: true } }] },
+    {
+      code: "var obj = {'ä': 1, a: 2, b: 3}",
+      options: ['asc', { locale: 'en', collation: { sensitivity: 'base' } }],
+    },
+    {
+      code: "var obj = {z: 'à', a: 'b', m: 'é'}",
+      options: ['asc', { locale: 'fr', strategy: 'value' }],
+    },
+
+    // strategies
+    { code: 'var obj = {bb: 1, a: 22, ccc: 3}', options: ['asc', { strategy: 'line-length' }] },
+    { code: 'var obj = {ccc: 3, a: 22, bb: 1}', options: ['desc', { strategy: 'line-length' }] },
+    {
+      code: "var obj = {a: 'Banana', z: 'apple', m: `cherry`, b: 1, c: x}",
+      options: ['asc', { strategy: 'value' }],
+      parserOptions: { ecmaVersion: 6 },
+    },
+    {
+      code: "var obj = {z: 'apple', a: 'Banana', m: 'cherry'}",
+      options: ['asc', { strategy: 'value', caseSensitive: false }],
+    },
+    { code: "var obj = {b: 'x', a: 'x'}", options: ['asc', { strategy: 'value' }] },
+    { code: 'var obj = {c: 1, a: 2, b: 3}', options: ['asc', { strategy: 'none' }] },
+    {
+      code: 'var obj = {c: 1, a: 2, onB: f, onA: f}',
+      options: ['asc', { strategy: 'none', groups: ['...', { key: 'on*' }] }],
+    },
+
+    // large key-set overrides
+    {
+      code: "var headers = {'X-Requested-With': 1, 'User-Agent': 2, Host: 3, Accept: 4}",
+      options: ['asc', { overrides: [{ order: httpHeaders }] }],
+    },
+    {
+      code: "var headers = {Accept: 1, 'User-Agent': 2, 'X-Custom': 3}",
+      options: ['asc', { overrides: [{ order: httpHeaders }] }],
+    },
+    {
+      code: 'var obj = {b:1, a:2, c:3}',
+      options: ['asc', { overrides: [{ order: ['c', 'b', 'a', 'd'] }, { order: ['b', 'a', 'c'] }] }],
+    },
+
+    // override order patterns and rest placeholder
+    {
+      code: 'var obj = {props: {id:1, key:2, a:3, z:4, children:5}}',
+      options: ['asc', { overrides: [{ properties: ['props'], order: ['id', 'key', '...', 'children'] }] }],
+    },
+    {
+      code: 'var obj = {props: {a:1, b:2, onBlur:3, onClick:4, "aria-hidden":5, "aria-label":6}}',
+      options: ['asc', { overrides: [{ properties: ['props'], order: ['...', 'on*', '/^aria-/'] }] }],
+    },
+    {
+      code: 'var obj = {props: {onClick:1, id:2, onBlur:3}}',
+      options: ['asc', { overrides: [{ properties: ['props'], order: ['onClick', 'id', 'on*'] }] }],
+    },
+    {
+      code: 'var obj = {props: {a1:1, a2:2, b:3, a10:4}}',
+      options: ['asc', { overrides: [{ properties: ['props'], order: ['a?', 'b'] }] }],
+    },
+    {
+      code: 'var obj = {x: {b:1, a:2}}',
+      options: ['asc', { overrides: [{ properties: ['x'], order: ['/^B$/i'] }] }],
+    },
+    {
+      code: 'var obj = {name:1, id:2}',
+      options: ['asc', { overrides: [{ order: ['name', '...', 'id', 'on*'] }] }],
+    },
+
     // shorthand first
     {
       code: 'var obj = {a, _:2, b:3}',
@@ -486,25 +763,110 @@ const test = {
   ],
   invalid: [
     // move comments on the same line as property together with property
-    // not implemented yet
-    // {
-    //   code: 'var obj = {\na:1,\n _:2, // comment\n b:3\n}',
-    //   errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
-    //   output: 'var obj = {\n_:2, // comment\n a:1,\n b:3\n}',
-    // },
+    {
+      code: 'var obj = {\na:1,\n _:2, // comment\n b:3\n}',
+      errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
+      output: 'var obj = {\n_:2, // comment\n a:1,\n b:3\n}',
+    },
 
     // move inline comments on the line above property together with property
     {
       code: 'var obj = {\n// comment\n// comment 2\na:1,\n_:2,\nb:3\n}',
       errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
-      output: 'var obj = {\n\n\n_:2,\n// comment\n// comment 2\na:1,\nb:3\n}',
+      output: 'var obj = {\n_:2,\n// comment\n// comment 2\na:1,\nb:3\n}',
     },
 
     // move multiline comments on the line above property together with property
     {
       code: 'var obj = {\n/* comment\n comment 2 */\na:1,\n_:2,\nb:3\n}',
       errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
-      output: 'var obj = {\n\n_:2,\n/* comment\n comment 2 */\na:1,\nb:3\n}',
+      output: 'var obj = {\n_:2,\n/* comment\n comment 2 */\na:1,\nb:3\n}',
+    },
+
+    // sort the whole object in a single pass
+    {
+      code: 'var obj = {e:1, d:2, c:3, b:4, a:5}',
+      errors: [
+        "Expected object keys to be in ascending order. 'd' should be before 'e'.",
+        "Expected object keys to be in ascending order. 'c' should be before 'd'.",
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {a:5, b:4, c:3, d:2, e:1}',
+    },
+    {
+      code: 'var obj = {\n  c: 1,\n  // b comment\n  b: 2,\n  /* a comment */\n  a: 3,\n}',
+      errors: [
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {\n  /* a comment */\n  a: 3,\n  // b comment\n  b: 2,\n  c: 1,\n}',
+    },
+    {
+      code: 'var obj = {x: {c:1, $:2, B:3, y:4, a, ...z, e:5, d:6}}',
+      options: [
+        'asc',
+        { allCaps: 'first', shorthand: 'first', overrides: [{ properties: ['x'], order: ['y', 'a', 'c', 'B', '$'] }] },
+      ],
+      parserOptions: { ecmaVersion: 2018 },
+      errors: [
+        "Expected x object keys to be in custom order. 'B' should be before '$'.",
+        "Expected x object keys to be in custom order. 'y' should be before 'B'.",
+        "Expected object keys to be in ascending order. 'd' should be before 'e'.",
+      ],
+      output: 'var obj = {x: {y:4, a, c:1, B:3, $:2, ...z, d:6, e:5}}',
+    },
+    {
+      code: 'var obj = {D:1, c, b:2, A:3, a:4}',
+      options: ['asc', { allCaps: 'first', shorthand: 'first' }],
+      parserOptions: { ecmaVersion: 2018 },
+      errors: ["Expected all caps object keys to be first. 'A' should be before 'b'."],
+      output: 'var obj = {A:3, D:1, c, a:4, b:2}',
+    },
+    {
+      code: 'var obj = {\n  d: 1,\n  c: 2,\n\n  b: 3,\n  a: 4,\n}',
+      options: ['asc', { allowLineSeparatedGroups: true }],
+      errors: [
+        "Expected object keys to be in ascending order. 'c' should be before 'd'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {\n  c: 2,\n  d: 1,\n\n  a: 4,\n  b: 3,\n}',
+    },
+    {
+      code: 'var obj = {\n  // --- b ---\n  d: 1,\n  c: 2,\n  // --- a ---\n  b: 3,\n  // about a\n  a: 4,\n}',
+      options: ['asc', { allowCommentSeparatedGroups: '^---' }],
+      errors: [
+        "Expected object keys to be in ascending order. 'c' should be before 'd'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {\n  // --- b ---\n  c: 2,\n  d: 1,\n  // --- a ---\n  // about a\n  a: 4,\n  b: 3,\n}',
+    },
+    {
+      code: 'var obj = {\n  z: 1,\n  a: 2, // --- trailing ---\n  // --- section ---\n  y: 3, x: 4,\n}',
+      options: ['asc', { allowCommentSeparatedGroups: true }],
+      errors: [
+        "Expected object keys to be in ascending order. 'a' should be before 'z'.",
+        "Expected object keys to be in ascending order. 'x' should be before 'y'.",
+      ],
+      output: 'var obj = {\n  a: 2, // --- trailing ---\n  z: 1,\n  // --- section ---\n  x: 4, y: 3,\n}',
+    },
+    {
+      code: 'var obj = {\n  b: 1,\n  // sort-keys-plus desc\n  a: {x: 1, y: 2},\n}',
+      options: ['asc', { allowCommentSeparatedGroups: true }],
+      errors: [
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+        "Expected object keys to be in descending order. 'y' should be before 'x'.",
+      ],
+      output: 'var obj = {\n  // sort-keys-plus desc\n  a: {x: 1, y: 2},\n  b: 1,\n}',
+    },
+    {
+      code: 'var obj = {c:1, b:2, [f()]:3, z:4, y:5}',
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'y' should be before 'z'.",
+      ],
+      output: 'var obj = {b:2, c:1, [f()]:3, y:5, z:4}',
     },
 
     // default (asc)
@@ -521,12 +883,12 @@ const test = {
     {
       code: 'var obj = {b_:1, a:2, b:3}',
       errors: ["Expected object keys to be in ascending order. 'a' should be before 'b_'."],
-      output: 'var obj = {a:2, b_:1, b:3}',
+      output: 'var obj = {a:2, b:3, b_:1}',
     },
     {
       code: 'var obj = {b_:1, c:2, C:3}',
       errors: ["Expected object keys to be in ascending order. 'C' should be before 'c'."],
-      output: 'var obj = {b_:1, C:3, c:2}',
+      output: 'var obj = {C:3, b_:1, c:2}',
     },
     {
       code: 'var obj = {$:1, _:2, A:3, a:4}',
@@ -536,7 +898,7 @@ const test = {
     {
       code: "var obj = {1:1, 2:4, A:3, '11':2}",
       errors: ["Expected object keys to be in ascending order. '11' should be before 'A'."],
-      output: "var obj = {1:1, 2:4, '11':2, A:3}",
+      output: "var obj = {1:1, '11':2, 2:4, A:3}",
     },
     {
       code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
@@ -612,6 +974,8 @@ const test = {
       parserOptions: { ecmaVersion: 6 },
       errors: ["Expected object keys to be in descending order. 'a' should be before ''."],
     },
+
+    // non-simple computed properties stay in place, and the fixer sorts the properties on each side separately
     {
       code: "var obj = {b:1, [f()]:2, '':3, a:4}",
       options: ['desc'],
@@ -620,72 +984,470 @@ const test = {
       output: `var obj = {b:1, [f()]:2, a:4, '':3}`,
     },
 
-    // not ignore simple computed properties.
     {
-      code: 'var obj = {a:1, b:3, [a]: -1, c:2}',
+      code: 'var obj = {d:1, c:1, [f()]:2, b:1, a:1, [g()]:3, z:1, y:1}',
       parserOptions: { ecmaVersion: 6 },
+      errors: [
+        "Expected object keys to be in ascending order. 'c' should be before 'd'.",
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+        "Expected object keys to be in ascending order. 'y' should be before 'z'.",
+      ],
+      output: 'var obj = {c:1, d:1, [f()]:2, a:1, b:1, [g()]:3, y:1, z:1}',
+    },
+    {
+      code: 'var obj = {b:1, [x+y]:1, a:1}',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics' }],
+      parserOptions: { ecmaVersion: 2018 },
       errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
-      output: 'var obj = {a:1, [a]: -1, b:3, c:2}',
+      output: null,
     },
 
-    // nested
+    // sort across spread properties when override semantics are ignored
     {
-      code: 'var obj = {a:1, c:{y:1, x:1}, b:1}',
+      code: 'var obj = {c:1, ...z, b:1, ...y, a:1}',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics' }],
+      parserOptions: { ecmaVersion: 2018 },
       errors: [
-        "Expected object keys to be in ascending order. 'x' should be before 'y'.",
         "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
       ],
-      output: 'var obj = {a:1, b:1, c:{y:1, x:1}}',
+      output: 'var obj = {a:1, ...z, b:1, ...y, c:1}',
     },
-
-    // asc
     {
-      code: 'var obj = {a:1, _:2, b:3} // asc',
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
-      output: 'var obj = {_:2, a:1, b:3} // asc',
+      code: 'var obj = {\n  d:1,\n  ...z,\n  c:1,\n\n  b:1,\n  ...y,\n  a:1,\n}',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics', allowLineSeparatedGroups: true }],
+      parserOptions: { ecmaVersion: 2018 },
+      errors: [
+        "Expected object keys to be in ascending order. 'c' should be before 'd'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {\n  c:1,\n  ...z,\n  d:1,\n\n  a:1,\n  ...y,\n  b:1,\n}',
     },
     {
-      code: 'var obj = {a:1, c:2, b:3}',
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. 'b' should be before 'c'."],
-      output: 'var obj = {a:1, b:3, c:2}',
+      code: 'var obj = {c:1, b:1, ...z, a:1, a:2}',
+      options: ['asc', { spreadBehavior: 'ignore-override-semantics' }],
+      parserOptions: { ecmaVersion: 2018 },
+      errors: [
+        {
+          message: "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+          suggestions: [
+            {
+              desc: "Sort the keys of this object. This may change the behavior of the code, as 'a' is a duplicate key.",
+              output: 'var obj = {b:1, c:1, ...z, a:1, a:2}',
+            },
+          ],
+        },
+      ],
+      output: null,
     },
+
+    // not ignore simple computed properties.
     {
-      code: 'var obj = {b_:1, a:2, b:3}',
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b_'."],
-      output: 'var obj = {a:2, b_:1, b:3}',
+      code: 'var obj = {a:1, b:3, [a]: -1, c:2}',
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        {
+          message: "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+          suggestions: [
+            {
+              desc: 'Sort the keys of this object. This may change the behavior of the code, as the computed key [a] may equal another key.',
+              output: 'var obj = {a:1, [a]: -1, b:3, c:2}',
+            },
+          ],
+        },
+      ],
+      output: null,
     },
     {
-      code: 'var obj = {b_:1, c:2, C:3}',
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. 'C' should be before 'c'."],
-      output: 'var obj = {b_:1, C:3, c:2}',
+      code: 'var obj = {[b]: 1, [a]: 2}',
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        {
+          message: "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+          suggestions: [
+            {
+              desc: 'Sort the keys of this object. This may change the behavior of the code, as the computed key [b] may equal another key.',
+              output: 'var obj = {[a]: 2, [b]: 1}',
+            },
+          ],
+        },
+      ],
+      output: null,
     },
+
+    // only suggest sorting when it could change the behavior of the code
     {
-      code: 'var obj = {$:1, _:2, A:3, a:4}',
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. 'A' should be before '_'."],
-      output: 'var obj = {$:1, A:3, _:2, a:4}',
+      code: 'var obj = {b:f(), a:g()}',
+      errors: [
+        {
+          message: "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+          suggestions: [
+            {
+              desc: "Sort the keys of this object. This may change the behavior of the code, as the value of 'b' may have side effects.",
+              output: 'var obj = {a:g(), b:f()}',
+            },
+          ],
+        },
+      ],
+      output: null,
     },
     {
-      code: "var obj = {1:1, 2:4, A:3, '11':2}",
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. '11' should be before 'A'."],
-      output: "var obj = {1:1, 2:4, '11':2, A:3}",
+      code: 'var obj = {b:new Foo(), a:x.y}',
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [{ messageId: 'sortKeysUnsafe', output: 'var obj = {a:x.y, b:new Foo()}' }],
+        },
+      ],
+      output: null,
     },
     {
-      code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
-      options: ['asc'],
-      errors: ["Expected object keys to be in ascending order. 'Z' should be before 'À'."],
-      output: "var obj = {'#':1, 'Z':2, À:3, è:4}",
+      code: 'var obj = {b:i++, a:[i]}',
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [{ messageId: 'sortKeysUnsafe', output: 'var obj = {a:[i], b:i++}' }],
+        },
+      ],
+      output: null,
     },
-
-    // asc, minKeys should error when number of keys is greater than or equal to minKeys
     {
-      code: 'var obj = {a:1, _:2, b:3}',
-      options: ['asc', { minKeys: 3 }],
+      code: 'var obj = {b:1, a:x = 2}',
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [{ messageId: 'sortKeysUnsafe', output: 'var obj = {a:x = 2, b:1}' }],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'async function* f() { return {c:1, b:yield, a:await x} }',
+      parserOptions: { ecmaVersion: 2018 },
+      errors: [
+        {
+          message: "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+          suggestions: [
+            {
+              desc: "Sort the keys of this object. This may change the behavior of the code, as the value of 'b' may have side effects.",
+              output: 'async function* f() { return {a:await x, b:yield, c:1} }',
+            },
+          ],
+        },
+        {
+          messageId: 'sortKeys',
+          suggestions: [
+            { messageId: 'sortKeysUnsafe', output: 'async function* f() { return {a:await x, b:yield, c:1} }' },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'var obj = {get b() { return log() }, a:1}',
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [
+            {
+              desc: "Sort the keys of this object. This may change the behavior of the code, as 'b' is a getter.",
+              output: 'var obj = {a:1, get b() { return log() }}',
+            },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'var obj = {b:1, a:1, b:2}',
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [
+            {
+              desc: "Sort the keys of this object. This may change the behavior of the code, as 'b' is a duplicate key.",
+              output: 'var obj = {a:1, b:1, b:2}',
+            },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'var obj = {b:() => f(), a:function() { g() }, [h()]:1}',
+      parserOptions: { ecmaVersion: 6 },
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'var obj = {a:function() { g() }, b:() => f(), [h()]:1}',
+    },
+
+    // comments and whitespace
+    {
+      code: 'var obj = {\n  c: 1, // see c\n  /** docs for b */\n  b: 2,\n  a: 3 // see a\n}',
+      errors: [
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {\n  a: 3, // see a\n  /** docs for b */\n  b: 2,\n  c: 1 // see c\n}',
+    },
+    {
+      code: 'var obj = { // header\n  b: 1,\n\n  /* about a */ a: 2, /* after a */\n}',
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'var obj = { // header\n  /* about a */ a: 2, /* after a */\n\n  b: 1,\n}',
+    },
+    {
+      code: 'var obj = {\r\n\tb: 1, // b\r\n\t// a\r\n\ta: 2,\r\n}',
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'var obj = {\r\n\t// a\r\n\ta: 2,\r\n\tb: 1, // b\r\n}',
+    },
+    {
+      code: 'var obj = {\n  b: 1, /* b */ a: 2,\n  c: 3\n}',
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'var obj = {\n  /* b */ a: 2, b: 1,\n  c: 3\n}',
+    },
+    {
+      code: 'var obj = {c: 1 /* c */, b: 2, a: 3 /* a */}',
+      errors: [
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = {a: 3 /* a */, b: 2, c: 1 /* c */}',
+    },
+
+    // suggestions
+    {
+      code: 'var obj = {c:1, a:1, b:1}',
+      options: ['asc', { suggestions: true }],
+      errors: [
+        {
+          message: "Expected object keys to be in ascending order. 'a' should be before 'c'.",
+          suggestions: [
+            { desc: 'Sort the keys of this object.', output: 'var obj = {a:1, b:1, c:1}' },
+            { desc: "Move 'a' before 'c'.", output: 'var obj = {a:1, c:1, b:1}' },
+          ],
+        },
+      ],
+      output: 'var obj = {a:1, b:1, c:1}',
+    },
+    {
+      code: 'var obj = {\n  b: 1,\n  // comment\n  a: 2,\n}',
+      options: ['asc', { suggestions: true }],
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [
+            { messageId: 'sortKeysSuggestSort', output: 'var obj = {\n  // comment\n  a: 2,\n  b: 1,\n}' },
+            { messageId: 'sortKeysSuggestMove', output: 'var obj = {\n  // comment\n  a: 2,\n  b: 1,\n}' },
+          ],
+        },
+      ],
+      output: 'var obj = {\n  // comment\n  a: 2,\n  b: 1,\n}',
+    },
+    {
+      code: 'var obj = {\n  // --- section ---\n  b: 1,\n  a: 2,\n}',
+      options: ['asc', { allowCommentSeparatedGroups: true, suggestions: true }],
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [
+            { messageId: 'sortKeysSuggestSort', output: 'var obj = {\n  // --- section ---\n  a: 2,\n  b: 1,\n}' },
+            { messageId: 'sortKeysSuggestMove', output: 'var obj = {\n  // --- section ---\n  a: 2,\n  b: 1,\n}' },
+          ],
+        },
+      ],
+      output: 'var obj = {\n  // --- section ---\n  a: 2,\n  b: 1,\n}',
+    },
+    {
+      code: 'var obj = {c:f(), b:1, a:1}',
+      options: ['asc', { suggestions: true }],
+      errors: [
+        {
+          messageId: 'sortKeys',
+          suggestions: [{ messageId: 'sortKeysUnsafe', output: 'var obj = {a:1, b:1, c:f()}' }],
+        },
+        {
+          messageId: 'sortKeys',
+          suggestions: [{ messageId: 'sortKeysUnsafe', output: 'var obj = {a:1, b:1, c:f()}' }],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'var obj = /* sort-keys-plus order: id, name */ {x: 1, id: 2, name: 3}',
+      options: ['asc', { suggestions: true }],
+      errors: [
+        {
+          message: "Expected object keys to be in custom order. 'id' should be before 'x'.",
+          suggestions: [
+            {
+              desc: 'Sort the keys of this object.',
+              output: 'var obj = /* sort-keys-plus order: id, name */ {id: 2, name: 3, x: 1}',
+            },
+            {
+              desc: "Move 'id' before 'x'.",
+              output: 'var obj = /* sort-keys-plus order: id, name */ {id: 2, x: 1, name: 3}',
+            },
+            {
+              desc: "Add 'x' to the order of the sort-keys-plus comment.",
+              output: 'var obj = /* sort-keys-plus order: x, id, name */ {x: 1, id: 2, name: 3}',
+            },
+          ],
+        },
+      ],
+      output: 'var obj = /* sort-keys-plus order: id, name */ {id: 2, name: 3, x: 1}',
+    },
+    {
+      code: '// sort-keys-plus order: a, ..., z \nvar obj = {z: 1, y: 2}',
+      options: ['asc', { suggestions: true }],
+      errors: [
+        {
+          message: "Expected object keys to be in custom order. 'y' should be before 'z'.",
+          suggestions: [
+            {
+              desc: 'Sort the keys of this object.',
+              output: '// sort-keys-plus order: a, ..., z \nvar obj = {y: 2, z: 1}',
+            },
+            { desc: "Move 'y' before 'z'.", output: '// sort-keys-plus order: a, ..., z \nvar obj = {y: 2, z: 1}' },
+            {
+              desc: "Add 'y' to the order of the sort-keys-plus comment.",
+              output: '// sort-keys-plus order: a, ..., z, y \nvar obj = {z: 1, y: 2}',
+            },
+          ],
+        },
+      ],
+      output: '// sort-keys-plus order: a, ..., z \nvar obj = {y: 2, z: 1}',
+    },
+
+    // report each object once
+    {
+      code: 'var obj = {c:1, b:1, a:1}',
+      options: ['asc', { report: 'object' }],
+      errors: [{ message: "Expected object keys to be in the order 'a', 'b', 'c'.", type: 'ObjectExpression' }],
+      output: 'var obj = {a:1, b:1, c:1}',
+    },
+    {
+      code: 'var obj = {b:{y:1, x:1}, a:1, ...z, d:1, [c+1]:1, e:1}',
+      options: ['asc', { report: 'object' }],
+      parserOptions: { ecmaVersion: 2018 },
+      errors: [
+        "Expected object keys to be in the order 'a', 'b', 'd', 'e'.",
+        "Expected object keys to be in the order 'x', 'y'.",
+      ],
+      output: 'var obj = {a:1, b:{y:1, x:1}, ...z, d:1, [c+1]:1, e:1}',
+    },
+    {
+      code: 'var obj = {c:f(), b:1, a:1}',
+      options: ['asc', { report: 'object', suggestions: true }],
+      errors: [
+        {
+          messageId: 'sortKeysObject',
+          suggestions: [{ messageId: 'sortKeysUnsafe', output: 'var obj = {a:1, b:1, c:f()}' }],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'var obj = {a:1, b:2}',
+      options: ['asc', { report: 'object', overrides: [{ order: ['b', 'a'], message: 'Put b first.' }] }],
+      errors: ["Put b first. Expected order: 'b', 'a'."],
+      output: 'var obj = {b:2, a:1}',
+    },
+
+    // custom messages with placeholders
+    {
+      code: 'var obj = {userId:1, a:1, b:1}',
+      options: [
+        'asc',
+        { overrides: [{ variable: 'obj', order: ['b', 'a', '...'], message: '{{override}} expects {{expected}}.' }] },
+      ],
+      errors: ["overrides[0] expects 'b', 'a', 'userId'.", "overrides[0] expects 'b', 'a', 'userId'."],
+      output: 'var obj = {b:1, a:1, userId:1}',
+    },
+    {
+      code: 'var obj = {userId:1, id:1}',
+      options: [
+        'asc',
+        {
+          groups: [{ key: '*Id', name: 'ids' }, '...'],
+          overrides: [
+            { preset: 'mongodb' },
+            {
+              order: ['id', '...'],
+              variable: 'obj',
+              message: "'{{thisName}}' ({{group}}) goes first in {{override}}.",
+            },
+          ],
+        },
+      ],
+      errors: ["'id' (other properties) goes first in overrides[1]."],
+      output: 'var obj = {id:1, userId:1}',
+    },
+    {
+      code: 'var obj = {a:1, b:1}',
+      options: ['asc', { overrides: [{ order: ['b', 'a'], message: "'{{thisName}}' [{{group}}] goes first." }] }],
+      errors: ["'b' [] goes first."],
+      output: 'var obj = {b:1, a:1}',
+    },
+
+    // nested
+    {
+      code: 'var obj = {a:1, c:{y:1, x:1}, b:1}',
+      errors: [
+        "Expected object keys to be in ascending order. 'x' should be before 'y'.",
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+      ],
+      output: 'var obj = {a:1, b:1, c:{y:1, x:1}}',
+    },
+
+    // asc
+    {
+      code: 'var obj = {a:1, _:2, b:3} // asc',
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
+      output: 'var obj = {_:2, a:1, b:3} // asc',
+    },
+    {
+      code: 'var obj = {a:1, c:2, b:3}',
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. 'b' should be before 'c'."],
+      output: 'var obj = {a:1, b:3, c:2}',
+    },
+    {
+      code: 'var obj = {b_:1, a:2, b:3}',
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b_'."],
+      output: 'var obj = {a:2, b:3, b_:1}',
+    },
+    {
+      code: 'var obj = {b_:1, c:2, C:3}',
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. 'C' should be before 'c'."],
+      output: 'var obj = {C:3, b_:1, c:2}',
+    },
+    {
+      code: 'var obj = {$:1, _:2, A:3, a:4}',
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. 'A' should be before '_'."],
+      output: 'var obj = {$:1, A:3, _:2, a:4}',
+    },
+    {
+      code: "var obj = {1:1, 2:4, A:3, '11':2}",
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. '11' should be before 'A'."],
+      output: "var obj = {1:1, '11':2, 2:4, A:3}",
+    },
+    {
+      code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
+      options: ['asc'],
+      errors: ["Expected object keys to be in ascending order. 'Z' should be before 'À'."],
+      output: "var obj = {'#':1, 'Z':2, À:3, è:4}",
+    },
+
+    // asc, minKeys should error when number of keys is greater than or equal to minKeys
+    {
+      code: 'var obj = {a:1, _:2, b:3}',
+      options: ['asc', { minKeys: 3 }],
       errors: ["Expected object keys to be in ascending order. '_' should be before 'a'."],
       output: 'var obj = {_:2, a:1, b:3}',
     },
@@ -707,7 +1469,7 @@ const test = {
       code: 'var obj = {b_:1, a:2, b:3}',
       options: ['asc', { caseSensitive: false }],
       errors: ["Expected object keys to be in insensitive ascending order. 'a' should be before 'b_'."],
-      output: 'var obj = {a:2, b_:1, b:3}',
+      output: 'var obj = {a:2, b:3, b_:1}',
     },
     {
       code: 'var obj = {$:1, A:3, _:2, a:4}',
@@ -719,7 +1481,7 @@ const test = {
       code: "var obj = {1:1, 2:4, A:3, '11':2}",
       options: ['asc', { caseSensitive: false }],
       errors: ["Expected object keys to be in insensitive ascending order. '11' should be before 'A'."],
-      output: "var obj = {1:1, 2:4, '11':2, A:3}",
+      output: "var obj = {1:1, '11':2, 2:4, A:3}",
     },
     {
       code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
@@ -753,13 +1515,13 @@ const test = {
       code: 'var obj = {b_:1, a:2, b:3}',
       options: ['asc', { natural: true }],
       errors: ["Expected object keys to be in natural ascending order. 'a' should be before 'b_'."],
-      output: 'var obj = {a:2, b_:1, b:3}',
+      output: 'var obj = {a:2, b:3, b_:1}',
     },
     {
       code: 'var obj = {b_:1, c:2, C:3}',
       options: ['asc', { natural: true }],
       errors: ["Expected object keys to be in natural ascending order. 'C' should be before 'c'."],
-      output: 'var obj = {b_:1, C:3, c:2}',
+      output: 'var obj = {C:3, b_:1, c:2}',
     },
     {
       code: 'var obj = {$:1, A:3, _:2, a:4}',
@@ -805,7 +1567,7 @@ const test = {
       code: 'var obj = {b_:1, a:2, b:3}',
       options: ['asc', { natural: true, caseSensitive: false }],
       errors: ["Expected object keys to be in natural insensitive ascending order. 'a' should be before 'b_'."],
-      output: 'var obj = {a:2, b_:1, b:3}',
+      output: 'var obj = {a:2, b:3, b_:1}',
     },
     {
       code: 'var obj = {$:1, A:3, _:2, a:4}',
@@ -839,13 +1601,13 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3} // desc',
       options: ['desc'],
       errors: ["Expected object keys to be in descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2} // desc',
+      output: 'var obj = {b:3, a:1, _:2} // desc',
     },
     {
       code: 'var obj = {a:1, c:2, b:3}',
       options: ['desc'],
       errors: ["Expected object keys to be in descending order. 'c' should be before 'a'."],
-      output: 'var obj = {c:2, a:1, b:3}',
+      output: 'var obj = {c:2, b:3, a:1}',
     },
     {
       code: 'var obj = {b_:1, a:2, b:3}',
@@ -866,7 +1628,7 @@ const test = {
         "Expected object keys to be in descending order. '_' should be before '$'.",
         "Expected object keys to be in descending order. 'a' should be before 'A'.",
       ],
-      output: 'var obj = {_:2, $:1, a:4, A:3}',
+      output: 'var obj = {a:4, _:2, A:3, $:1}',
     },
     {
       code: "var obj = {1:1, 2:4, A:3, '11':2}",
@@ -875,7 +1637,7 @@ const test = {
         "Expected object keys to be in descending order. '2' should be before '1'.",
         "Expected object keys to be in descending order. 'A' should be before '2'.",
       ],
-      output: "var obj = {2:4, 1:1, A:3, '11':2}",
+      output: "var obj = {A:3, 2:4, '11':2, 1:1}",
     },
     {
       code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
@@ -884,7 +1646,7 @@ const test = {
         "Expected object keys to be in descending order. 'À' should be before '#'.",
         "Expected object keys to be in descending order. 'è' should be before 'Z'.",
       ],
-      output: "var obj = {À:3, '#':1, è:4, 'Z':2}",
+      output: "var obj = {è:4, À:3, 'Z':2, '#':1}",
     },
 
     // desc, minKeys should error when number of keys is greater than or equal to minKeys
@@ -892,7 +1654,7 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3}',
       options: ['desc', { minKeys: 3 }],
       errors: ["Expected object keys to be in descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2}',
+      output: 'var obj = {b:3, a:1, _:2}',
     },
 
     // desc, insensitive
@@ -900,13 +1662,13 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3} // desc, insensitive',
       options: ['desc', { caseSensitive: false }],
       errors: ["Expected object keys to be in insensitive descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2} // desc, insensitive',
+      output: 'var obj = {b:3, a:1, _:2} // desc, insensitive',
     },
     {
       code: 'var obj = {a:1, c:2, b:3}',
       options: ['desc', { caseSensitive: false }],
       errors: ["Expected object keys to be in insensitive descending order. 'c' should be before 'a'."],
-      output: 'var obj = {c:2, a:1, b:3}',
+      output: 'var obj = {c:2, b:3, a:1}',
     },
     {
       code: 'var obj = {b_:1, a:2, b:3}',
@@ -918,7 +1680,7 @@ const test = {
       code: 'var obj = {b_:1, c:2, C:3}',
       options: ['desc', { caseSensitive: false }],
       errors: ["Expected object keys to be in insensitive descending order. 'c' should be before 'b_'."],
-      output: 'var obj = {c:2, b_:1, C:3}',
+      output: 'var obj = {c:2, C:3, b_:1}',
     },
     {
       code: 'var obj = {$:1, _:2, A:3, a:4}',
@@ -927,7 +1689,7 @@ const test = {
         "Expected object keys to be in insensitive descending order. '_' should be before '$'.",
         "Expected object keys to be in insensitive descending order. 'A' should be before '_'.",
       ],
-      output: 'var obj = {_:2, $:1, A:3, a:4}',
+      output: 'var obj = {A:3, a:4, _:2, $:1}',
     },
     {
       code: "var obj = {1:1, 2:4, A:3, '11':2}",
@@ -936,7 +1698,7 @@ const test = {
         "Expected object keys to be in insensitive descending order. '2' should be before '1'.",
         "Expected object keys to be in insensitive descending order. 'A' should be before '2'.",
       ],
-      output: "var obj = {2:4, 1:1, A:3, '11':2}",
+      output: "var obj = {A:3, 2:4, '11':2, 1:1}",
     },
     {
       code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
@@ -945,7 +1707,7 @@ const test = {
         "Expected object keys to be in insensitive descending order. 'À' should be before '#'.",
         "Expected object keys to be in insensitive descending order. 'è' should be before 'Z'.",
       ],
-      output: "var obj = {À:3, '#':1, è:4, 'Z':2}",
+      output: "var obj = {è:4, À:3, 'Z':2, '#':1}",
     },
 
     // desc, insensitive should error when number of keys is greater than or equal to minKeys
@@ -953,7 +1715,7 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3}',
       options: ['desc', { caseSensitive: false, minKeys: 2 }],
       errors: ["Expected object keys to be in insensitive descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2}',
+      output: 'var obj = {b:3, a:1, _:2}',
     },
 
     // desc, natural
@@ -961,13 +1723,13 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3} // desc, natural',
       options: ['desc', { natural: true }],
       errors: ["Expected object keys to be in natural descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2} // desc, natural',
+      output: 'var obj = {b:3, a:1, _:2} // desc, natural',
     },
     {
       code: 'var obj = {a:1, c:2, b:3}',
       options: ['desc', { natural: true }],
       errors: ["Expected object keys to be in natural descending order. 'c' should be before 'a'."],
-      output: 'var obj = {c:2, a:1, b:3}',
+      output: 'var obj = {c:2, b:3, a:1}',
     },
     {
       code: 'var obj = {b_:1, a:2, b:3}',
@@ -989,7 +1751,7 @@ const test = {
         "Expected object keys to be in natural descending order. 'A' should be before '_'.",
         "Expected object keys to be in natural descending order. 'a' should be before 'A'.",
       ],
-      output: 'var obj = {_:2, $:1, a:4, A:3}',
+      output: 'var obj = {a:4, A:3, _:2, $:1}',
     },
     {
       code: "var obj = {1:1, 2:4, A:3, '11':2}",
@@ -998,7 +1760,7 @@ const test = {
         "Expected object keys to be in natural descending order. '2' should be before '1'.",
         "Expected object keys to be in natural descending order. 'A' should be before '2'.",
       ],
-      output: "var obj = {2:4, 1:1, A:3, '11':2}",
+      output: "var obj = {A:3, '11':2, 2:4, 1:1}",
     },
     {
       code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
@@ -1007,7 +1769,7 @@ const test = {
         "Expected object keys to be in natural descending order. 'À' should be before '#'.",
         "Expected object keys to be in natural descending order. 'è' should be before 'Z'.",
       ],
-      output: "var obj = {À:3, '#':1, è:4, 'Z':2}",
+      output: "var obj = {è:4, À:3, 'Z':2, '#':1}",
     },
 
     // desc, natural should error when number of keys is greater than or equal to minKeys
@@ -1015,7 +1777,7 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3}',
       options: ['desc', { natural: true, minKeys: 3 }],
       errors: ["Expected object keys to be in natural descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2}',
+      output: 'var obj = {b:3, a:1, _:2}',
     },
 
     // desc, natural, insensitive
@@ -1023,13 +1785,13 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3} // desc, natural, insensitive',
       options: ['desc', { natural: true, caseSensitive: false }],
       errors: ["Expected object keys to be in natural insensitive descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2} // desc, natural, insensitive',
+      output: 'var obj = {b:3, a:1, _:2} // desc, natural, insensitive',
     },
     {
       code: 'var obj = {a:1, c:2, b:3}',
       options: ['desc', { natural: true, caseSensitive: false }],
       errors: ["Expected object keys to be in natural insensitive descending order. 'c' should be before 'a'."],
-      output: 'var obj = {c:2, a:1, b:3}',
+      output: 'var obj = {c:2, b:3, a:1}',
     },
     {
       code: 'var obj = {b_:1, a:2, b:3}',
@@ -1041,7 +1803,7 @@ const test = {
       code: 'var obj = {b_:1, c:2, C:3}',
       options: ['desc', { natural: true, caseSensitive: false }],
       errors: ["Expected object keys to be in natural insensitive descending order. 'c' should be before 'b_'."],
-      output: 'var obj = {c:2, b_:1, C:3}',
+      output: 'var obj = {c:2, C:3, b_:1}',
     },
     {
       code: 'var obj = {$:1, _:2, A:3, a:4}',
@@ -1050,7 +1812,7 @@ const test = {
         "Expected object keys to be in natural insensitive descending order. '_' should be before '$'.",
         "Expected object keys to be in natural insensitive descending order. 'A' should be before '_'.",
       ],
-      output: 'var obj = {_:2, $:1, A:3, a:4}',
+      output: 'var obj = {A:3, a:4, _:2, $:1}',
     },
     {
       code: "var obj = {1:1, 2:4, '11':2, A:3}",
@@ -1060,7 +1822,7 @@ const test = {
         "Expected object keys to be in natural insensitive descending order. '11' should be before '2'.",
         "Expected object keys to be in natural insensitive descending order. 'A' should be before '11'.",
       ],
-      output: "var obj = {2:4, 1:1, A:3, '11':2}",
+      output: "var obj = {A:3, '11':2, 2:4, 1:1}",
     },
     {
       code: "var obj = {'#':1, À:3, 'Z':2, è:4}",
@@ -1069,7 +1831,7 @@ const test = {
         "Expected object keys to be in natural insensitive descending order. 'À' should be before '#'.",
         "Expected object keys to be in natural insensitive descending order. 'è' should be before 'Z'.",
       ],
-      output: "var obj = {À:3, '#':1, è:4, 'Z':2}",
+      output: "var obj = {è:4, À:3, 'Z':2, '#':1}",
     },
 
     // desc, natural, insensitive should error when number of keys is greater than or equal to minKeys
@@ -1077,7 +1839,7 @@ const test = {
       code: 'var obj = {a:1, _:2, b:3}',
       options: ['desc', { natural: true, caseSensitive: false, minKeys: 2 }],
       errors: ["Expected object keys to be in natural insensitive descending order. 'b' should be before '_'."],
-      output: 'var obj = {a:1, b:3, _:2}',
+      output: 'var obj = {b:3, a:1, _:2}',
     },
 
     // overrides
@@ -1128,7 +1890,7 @@ const test = {
         },
       ],
       errors: ["Expected object keys to be in ascending order. '$' should be before 'y'."],
-      output: 'var obj = {a:1, b:{$:1, y:1, a:1}, c:1}',
+      output: 'var obj = {a:1, b:{$:1, a:1, y:1}, c:1}',
     },
     {
       code: 'var obj = {a:1, c:1, b:{y:1, $:1, a:1}}',
@@ -1147,12 +1909,341 @@ const test = {
       output: 'var obj = {a:1, b:{y:1, $:1, a:1}, c:1}',
     },
 
+    // overrides matching the keys leading to the object
+    {
+      code: 'var a = {b: {scripts: {z: 1, a: 2}}, c: [{scripts: {z: 1, a: 2}}], scripts: {z: 1, a: 2}}',
+      options: ['asc', { overrides: [{ path: 'scripts', ignore: true }] }],
+      errors: [
+        "Expected object keys to be in ascending order. 'a' should be before 'z'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'z'.",
+      ],
+      output: 'var a = {b: {scripts: {a: 2, z: 1}}, c: [{scripts: {a: 2, z: 1}}], scripts: {z: 1, a: 2}}',
+    },
+    {
+      code: 'var a = {other: [{b: 1, a: 2}], rules: [{b: 1, a: 2}]}',
+      options: ['asc', { overrides: [{ path: 'r*[]', order: ['b', 'a'] }] }],
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'var a = {other: [{a: 2, b: 1}], rules: [{b: 1, a: 2}]}',
+    },
+
+    // unknown and missing keys
+    {
+      code: "db.a.aggregate([{$lookup: {from: 'b', localField: 'c', as: 'e', foreignFeild: 'd'}}])",
+      options: ['asc', { overrides: [lookupOverride] }],
+      errors: [
+        {
+          message: "Unexpected $lookup object key 'foreignFeild', which is not in the custom order.",
+          line: 1,
+          column: 65,
+        },
+      ],
+    },
+    {
+      code: "db.a.aggregate([{$lookup: {localField: 'c', from: 'b'}}])",
+      options: ['asc', { overrides: [lookupOverride] }],
+      errors: [
+        { message: "Expected $lookup object to have the key 'as'.", line: 1, column: 27 },
+        "Expected $lookup object keys to be in custom order. 'from' should be before 'localField'.",
+      ],
+      output: "db.a.aggregate([{$lookup: {from: 'b', localField: 'c'}}])",
+    },
+
+    // directive comments
+    {
+      code: "var obj = /* sort-keys-plus order: id, name, ... */ {name: 'a', id: 1, b: 1, a: 2}",
+      errors: [
+        "Expected object keys to be in custom order. 'id' should be before 'name'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: "var obj = /* sort-keys-plus order: id, name, ... */ {id: 1, name: 'a', a: 2, b: 1}",
+    },
+    {
+      code: 'var obj = /* sort-keys-plus desc */ {a: 1, b: 2}',
+      errors: ["Expected object keys to be in descending order. 'b' should be before 'a'."],
+      output: 'var obj = /* sort-keys-plus desc */ {b: 2, a: 1}',
+    },
+    {
+      code: 'var obj = /* sort-keys-plus order: b, a */ {a: 1, b: 2}',
+      options: ['asc', { report: 'object' }],
+      errors: ["Expected object keys to be in the order 'b', 'a'."],
+      output: 'var obj = /* sort-keys-plus order: b, a */ {b: 2, a: 1}',
+    },
+    {
+      code: '// sort-keys-plus ignore\nvar obj = {b: 1, a: {d: 1, c: 2}}',
+      errors: ["Expected object keys to be in ascending order. 'c' should be before 'd'."],
+      output: '// sort-keys-plus ignore\nvar obj = {b: 1, a: {c: 2, d: 1}}',
+    },
+    {
+      code: 'foo() // sort-keys-plus ignore\nvar obj = {b: 1, a: 2}',
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'foo() // sort-keys-plus ignore\nvar obj = {a: 2, b: 1}',
+    },
+    {
+      code: 'var obj = /* sort-keys-plus sideways */ {b: 1, a: 2}',
+      errors: [
+        { message: 'Invalid sort-keys-plus comment: unknown option "sideways".', line: 1, column: 11 },
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var obj = /* sort-keys-plus sideways */ {a: 2, b: 1}',
+    },
+    {
+      code: 'var a = /* sort-keys-plus ignore order: a */ {a: 1}, b = /* sort-keys-plus order: a, b, a */ {a: 1}',
+      errors: [
+        'Invalid sort-keys-plus comment: "ignore" cannot be combined with other options.',
+        'Invalid sort-keys-plus comment: "order:" lists "a" more than once.',
+      ],
+    },
+    {
+      code: 'var a = /* sort-keys-plus */ {a: 1}, b = /* sort-keys-plus asc desc */ {a: 1}',
+      errors: [
+        'Invalid sort-keys-plus comment: expected "ignore", "asc", "desc", "natural", "insensitive" or "order:".',
+        'Invalid sort-keys-plus comment: "asc" and "desc" conflict.',
+      ],
+    },
+    {
+      code: '// sort-keys-plus sideways\nvar list = [{b: 1}, {c: 1}]',
+      errors: [{ message: 'Invalid sort-keys-plus comment: unknown option "sideways".', line: 1 }],
+    },
+
+    // presets
+    {
+      code: "db.orders.aggregate([{$group: {total: {$sum: 1}, _id: '$c'}}, {$project: {x: {$cond: {then: 1, if: '$a', else: 0}}}}])",
+      options: ['asc', { overrides: [{ preset: 'mongodb' }] }],
+      errors: [
+        "Expected $group object keys to be in custom order. '_id' should be before 'total'.",
+        "Expected $cond object keys to be in custom order. 'if' should be before 'then'.",
+      ],
+      output:
+        "db.orders.aggregate([{$group: {_id: '$c', total: {$sum: 1}}}, {$project: {x: {$cond: {if: '$a', then: 1, else: 0}}}}])",
+    },
+    {
+      code: "module.exports = {rules: {}, root: true, overrides: [{rules: {}, files: ['*.ts']}]}",
+      options: ['asc', { overrides: [{ preset: 'eslintrc' }] }],
+      errors: [
+        "Expected object keys to be in custom order. 'root' should be before 'rules'.",
+        "Expected object keys to be in custom order. 'files' should be before 'rules'.",
+      ],
+      output: "module.exports = {root: true, rules: {}, overrides: [{files: ['*.ts'], rules: {}}]}",
+    },
+
+    // overrides matching where the object is written
+    {
+      code: "var routes = {name: 'home', path: '/'}",
+      options: ['asc', { overrides: [{ variable: 'routes*', message: 'Path first.', order: ['path', '...'] }] }],
+      errors: ["Path first. 'path' should be before 'name'."],
+      output: "var routes = {path: '/', name: 'home'}",
+    },
+    {
+      code: "export default defineConfig({plugins: [], root: '.'})",
+      options: ['asc', { overrides: [{ callee: 'defineConfig', order: ['root', '...'] }] }],
+      parserOptions: { ecmaVersion: 2015, sourceType: 'module' },
+      errors: ["Expected object keys to be in custom order. 'root' should be before 'plugins'."],
+      output: "export default defineConfig({root: '.', plugins: []})",
+    },
+    {
+      code: 'fetch({method: 1, body: 2})',
+      options: ['asc', { overrides: [{ callee: 'fetch', argumentIndex: 1, order: ['method', '...'] }] }],
+      errors: ["Expected object keys to be in ascending order. 'body' should be before 'method'."],
+      output: 'fetch({body: 2, method: 1})',
+    },
+    {
+      code: 'var config = {b: 1, a: 2}; var other = {config: {b: 1, a: 2}}',
+      options: ['asc', { overrides: [{ variable: 'config', properties: ['config'], ignore: true }] }],
+      errors: [
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'var config = {a: 2, b: 1}; var other = {config: {a: 2, b: 1}}',
+    },
+
+    // groups
+    {
+      code: 'var obj = {onClick: f, a: 1, b() {}, __proto__: null}',
+      options: [
+        'asc',
+        {
+          groups: [
+            { name: 'prototype', key: '__proto__' },
+            '...',
+            { name: 'methods', value: 'method' },
+            { name: 'callbacks', key: '/^on[A-Z]/' },
+          ],
+        },
+      ],
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        {
+          message: "Expected other properties to be before callbacks. 'a' should be before 'onClick'.",
+          suggestions: [
+            { messageId: 'sortKeysUnsafe', output: 'var obj = {__proto__: null, a: 1, b() {}, onClick: f}' },
+          ],
+        },
+        {
+          message: "Expected prototype to be before methods. '__proto__' should be before 'b'.",
+          suggestions: [
+            { messageId: 'sortKeysUnsafe', output: 'var obj = {__proto__: null, a: 1, b() {}, onClick: f}' },
+          ],
+        },
+      ],
+      output: null,
+    },
+    {
+      code: 'var obj = {a() {}, b: 1}',
+      options: ['asc', { groups: [{ value: 'literal' }] }],
+      parserOptions: { ecmaVersion: 6 },
+      errors: ["Expected group 1 to be before other properties. 'b' should be before 'a'."],
+      output: 'var obj = {b: 1, a() {}}',
+    },
+    {
+      code: 'var obj = {A: 1, B, c: 2, d}',
+      options: ['asc', { groups: [{ shorthand: true }], allCaps: 'first' }],
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        "Expected group 1 to be before other properties. 'B' should be before 'A'.",
+        "Expected group 1 to be before other properties. 'd' should be before 'c'.",
+      ],
+      output: 'var obj = {B, d, A: 1, c: 2}',
+    },
+
+    // locale
+    {
+      code: "var obj = {b: 1, 'ß': 2, 'à': 3, 'é': 4}",
+      options: ['asc', { locale: 'de' }],
+      errors: ["Expected object keys to be in ascending order. 'à' should be before 'ß'."],
+      output: "var obj = {'à': 3, b: 1, 'é': 4, 'ß': 2}",
+    },
+    {
+      code: 'var obj = {a10: 1, a2: 2}',
+      options: ['asc', { locale: 'en', natural: true }],
+      errors: ["Expected object keys to be in natural ascending order. 'a2' should be before 'a10'."],
+      output: 'var obj = {a2: 2, a10: 1}',
+    },
+    {
+      code: 'var obj = {props: {title: 1, état: 2, id: 3}}',
+      options: ['asc', { locale: 'fr', overrides: [{ properties: ['props'], order: ['id'] }] }],
+      errors: [
+        "Expected object keys to be in ascending order. 'état' should be before 'title'.",
+        "Expected props object keys to be in custom order. 'id' should be before 'état'.",
+      ],
+      output: 'var obj = {props: {id: 3, état: 2, title: 1}}',
+    },
+
+    // strategies
+    {
+      code: 'var obj = {ccc: 1, a: 1, bb: 1}',
+      options: ['asc', { strategy: 'line-length' }],
+      errors: ["Expected object keys to be in ascending order of line length. 'a' should be before 'ccc'."],
+      output: 'var obj = {a: 1, bb: 1, ccc: 1}',
+    },
+    {
+      code: 'var obj = {\n  a: 1,\n  b: {\n    c: 1,\n  },\n}',
+      options: ['desc', { strategy: 'line-length' }],
+      errors: ["Expected object keys to be in descending order of line length. 'b' should be before 'a'."],
+      output: 'var obj = {\n  b: {\n    c: 1,\n  },\n  a: 1,\n}',
+    },
+    {
+      code: "var obj = {a: 'b', b: 'a', c: 0}",
+      options: ['asc', { strategy: 'value' }],
+      errors: ["Expected object keys to be in ascending order of their values. 'b' should be before 'a'."],
+      output: "var obj = {b: 'a', a: 'b', c: 0}",
+    },
+    {
+      code: "var obj = {c: 0, a: 'a'}",
+      options: ['desc', { strategy: 'value' }],
+      errors: ["Expected object keys to be in descending order of their values. 'a' should be before 'c'."],
+      output: "var obj = {a: 'a', c: 0}",
+    },
+    {
+      code: 'var obj = {onA: f, c: 1, a: 2}',
+      options: ['asc', { strategy: 'none', groups: ['...', { name: 'callbacks', key: 'on*' }] }],
+      errors: ["Expected other properties to be before callbacks. 'c' should be before 'onA'."],
+      output: 'var obj = {c: 1, a: 2, onA: f}',
+    },
+
+    // large key-set overrides
+    {
+      code: "var headers = {Accept: 1, Host: 2, 'User-Agent': 3}",
+      options: ['asc', { overrides: [{ order: httpHeaders }] }],
+      errors: [
+        "Expected object keys to be in custom order. 'Host' should be before 'Accept'.",
+        "Expected object keys to be in custom order. 'User-Agent' should be before 'Host'.",
+      ],
+      output: "var headers = {'User-Agent': 3, Host: 2, Accept: 1}",
+    },
+    {
+      code: 'var props = {onClick: f, id: 1}',
+      options: ['asc', { overrides: [{ order: ['id', 'on*'] }] }],
+      errors: ["Expected object keys to be in custom order. 'id' should be before 'onClick'."],
+      output: 'var props = {id: 1, onClick: f}',
+    },
+
+    // override order patterns and rest placeholder
+    {
+      code: 'var obj = {props: {children:1, b:2, id:3, a:4}}',
+      options: ['asc', { overrides: [{ properties: ['props'], order: ['id', '...', 'children'] }] }],
+      errors: [
+        "Expected props object keys to be in custom order. 'b' should be before 'children'.",
+        "Expected props object keys to be in custom order. 'id' should be before 'b'.",
+      ],
+      output: 'var obj = {props: {id:3, a:4, b:2, children:1}}',
+    },
+    {
+      code: 'var obj = {props: {onClick:1, "aria-label":2, id:3, onBlur:4}}',
+      options: ['asc', { overrides: [{ properties: ['props'], order: ['id', '/^aria-/', 'on*'] }] }],
+      errors: [
+        "Expected props object keys to be in custom order. 'aria-label' should be before 'onClick'.",
+        "Expected props object keys to be in custom order. 'id' should be before 'aria-label'.",
+      ],
+      output: 'var obj = {props: {id:3, "aria-label":2, onBlur:4, onClick:1}}',
+    },
+
+    // destructuring patterns
+    {
+      code: 'const {z, a, m} = props',
+      options: ['asc', { patterns: true }],
+      parserOptions: { ecmaVersion: 6 },
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'z'."],
+      output: 'const {a, m, z} = props',
+    },
+    {
+      code: 'const {b = 1, a, ...rest} = props',
+      options: ['asc', { patterns: true }],
+      parserOptions: { ecmaVersion: 2018 },
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'const {a, b = 1, ...rest} = props',
+    },
+    {
+      code: 'function f({b, a: {y, x}}) {}',
+      options: ['asc', { patterns: true }],
+      parserOptions: { ecmaVersion: 6 },
+      errors: [
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+        "Expected object keys to be in ascending order. 'x' should be before 'y'.",
+      ],
+      output: 'function f({a: {y, x}, b}) {}',
+    },
+    {
+      code: 'const {props: {b, c}} = this',
+      options: ['asc', { patterns: true, overrides: [{ properties: ['props'], order: ['c'] }] }],
+      parserOptions: { ecmaVersion: 6 },
+      errors: ["Expected props object keys to be in custom order. 'c' should be before 'b'."],
+      output: 'const {props: {c, b}} = this',
+    },
+    // do not fix when a default depends on another binding of the pattern
+    {
+      code: 'const {b, a = b} = props',
+      options: ['asc', { patterns: true }],
+      parserOptions: { ecmaVersion: 6 },
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: null,
+    },
+
     // ALL_CAPS first
     {
       code: 'var obj = {b_:1, c:3, C:2}',
       options: ['asc', { caseSensitive: false, allCaps: 'first' }],
       errors: ["Expected all caps object keys to be first. 'C' should be before 'c'."],
-      output: 'var obj = {b_:1, C:2, c:3}',
+      output: 'var obj = {C:2, b_:1, c:3}',
     },
     {
       code: 'var obj = {b_:1, C:3, c:2}',
@@ -1164,7 +2255,7 @@ const test = {
       code: 'var obj = {b_:1, c:3, C:2}',
       options: ['asc', { natural: true, caseSensitive: false, allCaps: 'first' }],
       errors: ["Expected all caps object keys to be first. 'C' should be before 'c'."],
-      output: 'var obj = {b_:1, C:2, c:3}',
+      output: 'var obj = {C:2, b_:1, c:3}',
     },
     // ALL_CAPS last
     {
@@ -1177,13 +2268,13 @@ const test = {
       code: 'var obj = {$:1, _:2, A:3, a:4}',
       options: ['asc', { natural: true, caseSensitive: false, allCaps: 'last' }],
       errors: ["Expected all caps object keys to be last. 'a' should be before 'A'."],
-      output: 'var obj = {$:1, _:2, a:4, A:3}',
+      output: 'var obj = {a:4, $:1, _:2, A:3}',
     },
     {
       code: "var obj = {'#':1, 'Z':2, À:3, è:4}",
       options: ['asc', { natural: true, caseSensitive: false, allCaps: 'last' }],
       errors: ["Expected all caps object keys to be last. 'è' should be before 'À'."],
-      output: "var obj = {'#':1, 'Z':2, è:4, À:3}",
+      output: "var obj = {è:4, '#':1, 'Z':2, À:3}",
     },
 
     // shorthand first
@@ -1192,14 +2283,14 @@ const test = {
       options: ['asc', { shorthand: 'first' }],
       parserOptions: { ecmaVersion: 2018 },
       errors: ["Expected shorthand properties to be first. 'd' should be before 'c'."],
-      output: 'var obj = {a:1, b:{x:1, y:1}, d, c:1}',
+      output: 'var obj = {d, a:1, b:{x:1, y:1}, c:1}',
     },
     {
       code: 'var obj = {e,a:1, b:{x:1, y:1}, c:1, d}',
       options: ['asc', { shorthand: 'first' }],
       parserOptions: { ecmaVersion: 2018 },
       errors: ["Expected shorthand properties to be first. 'd' should be before 'c'."],
-      output: 'var obj = {e,a:1, b:{x:1, y:1}, d, c:1}',
+      output: 'var obj = {d,e, a:1, b:{x:1, y:1}, c:1}',
     },
 
     // shorthand last
@@ -1208,14 +2299,14 @@ const test = {
       options: ['asc', { shorthand: 'last' }],
       parserOptions: { ecmaVersion: 2018 },
       errors: ["Expected shorthand properties to be last. 'a' should be before 'd'."],
-      output: 'var obj = {a:1, d, b:{x:1, y:1}, c:1}',
+      output: 'var obj = {a:1, b:{x:1, y:1}, c:1, d}',
     },
     {
       code: 'var obj = {d, a:1, b:{x:1, y:1}, c:1, e}',
       options: ['asc', { shorthand: 'last' }],
       parserOptions: { ecmaVersion: 2018 },
       errors: ["Expected shorthand properties to be last. 'a' should be before 'd'."],
-      output: 'var obj = {a:1, d, b:{x:1, y:1}, c:1, e}',
+      output: 'var obj = {a:1, b:{x:1, y:1}, c:1, d, e}',
     },
 
     // with ignore single line
@@ -1229,7 +2320,7 @@ const test = {
         "Expected shorthand properties to be last. 'a' should be before 'd'."
       ],
       output: `var obj = {
-        a:1, d, b:{x:1, y:1}, c:1
+        a:1, b:{x:1, y:1}, c:1, d
       }`
     },
     {
@@ -1244,7 +2335,7 @@ const test = {
       ],
       output: `var obj = {
         a:1,
-        d, b:{x:1, y:1}, c:1, e
+        b:{x:1, y:1}, c:1, d, e
       }`
     }
   ],
@@ -1266,3 +2357,233 @@ babelRuleTester.run('babel-eslint/sort-keys-fix', rule, {
   valid: test.valid.map(withSourceTypeModule),
   invalid: test.invalid.map(withSourceTypeModule),
 })
+
+const presets = require('../../../lib/presets')
+
+const tsRuleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+})
+
+tsRuleTester.run('typescript/sort-keys-fix', rule, {
+  valid: [
+    {
+      code: "const props: Props = {id: 'a', children: []}; const other = {id: 'a', children: []} satisfies Props",
+      options: ['asc', { overrides: [{ typeAnnotation: 'Props', order: ['id', '...'] }] }],
+    },
+    {
+      code: 'const theme = {z: 1, a: 2} as React.CSSProperties',
+      options: ['asc', { overrides: [{ typeAnnotation: 'React.*', ignore: true }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "const props: Props<string> = {children: [], id: 'a'}",
+      options: ['asc', { overrides: [{ typeAnnotation: 'Props', order: ['id', '...'] }] }],
+      errors: ["Expected object keys to be in custom order. 'id' should be before 'children'."],
+      output: "const props: Props<string> = {id: 'a', children: []}",
+    },
+    {
+      code: "const props: Other = {id: 'a', children: []}",
+      options: ['asc', { overrides: [{ typeAnnotation: 'Props', order: ['id', '...'] }] }],
+      errors: ["Expected object keys to be in ascending order. 'children' should be before 'id'."],
+      output: "const props: Other = {children: [], id: 'a'}",
+    },
+  ],
+})
+
+const jsonRuleTester = new RuleTester({
+  parser: require.resolve('jsonc-eslint-parser'),
+})
+
+jsonRuleTester.run('jsonc/sort-keys-fix', rule, {
+  valid: [
+    { code: '{"a": 1, "b": {"c": 2, "d": 3}}', options: [] },
+    { code: '{"b": 1, "a": 2}', options: ['desc'] },
+    { code: '{a: 1, "b": 2, \'c\': 3}', options: [] },
+    { code: '{"a": 1, "b": 2}', options: ['asc', { minKeys: 3 }] },
+    { code: '[{"a": 1, "b": 2}, {"a": 3, "b": 4}]', options: [] },
+    {
+      code: '{"compilerOptions": {"target": "es2020", "strict": true}}',
+      options: ['asc', { overrides: [{ properties: ['compilerOptions'], order: ['target'] }] }],
+    },
+    {
+      code: '{"compilerOptions": {"paths": {"~/*": ["src/*"], "@/*": ["lib/*"]}}}',
+      options: ['asc', { overrides: [{ path: 'compilerOptions.paths', ignore: true }] }],
+    },
+
+    // presets
+    {
+      code: '{"name": "a", "version": "1.0.0", "description": "", "scripts": {}, "dependencies": {}}',
+      options: ['asc', { overrides: presets['package-json'] }],
+    },
+    {
+      code: '{"name": "a", "exports": {".": {"types": "./a.d.ts", "import": "./a.mjs", "default": "./a.js"}}}',
+      options: ['asc', { overrides: presets['package-json'] }],
+    },
+    {
+      code: '{"extends": "./base.json", "compilerOptions": {"outDir": "dist", "strict": true}, "include": ["src"]}',
+      options: ['asc', { overrides: presets.tsconfig }],
+    },
+    {
+      code: '{"root": true, "extends": "a", "overrides": [{"files": ["*.ts"], "excludedFiles": ["*.d.ts"], "rules": {}}]}',
+      options: ['asc', { overrides: [{ preset: 'eslintrc' }] }],
+    },
+    {
+      code: '{"openapi": "3.1.0", "info": {"title": "A", "version": "1"}, "paths": {"/b": {}, "/a": {"get": {"summary": "A", "parameters": [{"name": "id", "in": "path"}], "responses": {}}}}}',
+      options: ['asc', { overrides: [{ preset: 'openapi' }] }],
+    },
+    {
+      code: '{"components": {"schemas": {"A": {"properties": {"z": {}, "a": {}}, "type": "object"}}}}',
+      options: ['asc', { overrides: [{ preset: 'openapi' }] }],
+    },
+    {
+      code: '{"name": "CI", "on": {"push": {}}, "jobs": {"test": {"runs-on": "ubuntu-latest", "steps": [{"uses": "actions/checkout@v4"}, {"name": "Test", "run": "npm test"}]}}}',
+      options: ['asc', { overrides: [{ preset: 'github-actions' }] }],
+    },
+
+    // directive comments
+    '// sort-keys-plus order: name, version, ...\n{"name": "a", "version": "1", "a": 2, "b": 1}',
+    '{"name": "a", "scripts": /* sort-keys-plus ignore */ {"test": "", "build": ""}}',
+  ],
+  invalid: [
+    {
+      code: '{"compilerOptions": {"paths": {"~/*": []}}, "paths": {"~/*": [], "@/*": []}}',
+      options: ['asc', { overrides: [{ path: 'compilerOptions.paths', ignore: true }] }],
+      errors: ["Expected object keys to be in ascending order. '@/*' should be before '~/*'."],
+      output: '{"compilerOptions": {"paths": {"~/*": []}}, "paths": {"@/*": [], "~/*": []}}',
+    },
+    {
+      code: '{"b": 1, "a": 2}',
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: '{"a": 2, "b": 1}',
+    },
+    {
+      code: '{\n  // comment about c\n  "c": 1,\n  "b": {"y": 1, "x": 2},\n  "a": 3 /* trailing */\n}',
+      errors: [
+        "Expected object keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected object keys to be in ascending order. 'x' should be before 'y'.",
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: '{\n  "a": 3, /* trailing */\n  "b": {"y": 1, "x": 2},\n  // comment about c\n  "c": 1\n}',
+    },
+    {
+      code: "{b: 1, 'a': 2}",
+      errors: ["Expected object keys to be in ascending order. 'a' should be before 'b'."],
+      output: "{'a': 2, b: 1}",
+    },
+    {
+      code: '{"compilerOptions": {"strict": true, "target": "es2020"}}',
+      options: ['asc', { overrides: [{ properties: ['compilerOptions'], order: ['target'] }] }],
+      errors: ["Expected compilerOptions object keys to be in custom order. 'target' should be before 'strict'."],
+      output: '{"compilerOptions": {"target": "es2020", "strict": true}}',
+    },
+
+    // presets
+    {
+      code: '{"dependencies": {"b": "1", "a": "2"}, "version": "1.0.0", "name": "a"}',
+      options: ['asc', { overrides: presets['package-json'] }],
+      errors: [
+        "Expected object keys to be in ascending order. 'a' should be before 'b'.",
+        "Expected object keys to be in custom order. 'version' should be before 'dependencies'.",
+        "Expected object keys to be in custom order. 'name' should be before 'version'.",
+      ],
+      output: '{"name": "a", "version": "1.0.0", "dependencies": {"b": "1", "a": "2"}}',
+    },
+    {
+      code: '{"repository": {"url": "https://example.com", "type": "git"}}',
+      options: ['asc', { overrides: presets['package-json'] }],
+      errors: ["Expected repository object keys to be in custom order. 'type' should be before 'url'."],
+      output: '{"repository": {"type": "git", "url": "https://example.com"}}',
+    },
+    {
+      code: '{"include": ["src"], "compilerOptions": {"strict": true}, "extends": "./base.json"}',
+      options: ['asc', { overrides: presets.tsconfig }],
+      errors: [
+        "Expected object keys to be in custom order. 'compilerOptions' should be before 'include'.",
+        "Expected object keys to be in custom order. 'extends' should be before 'compilerOptions'.",
+      ],
+      output: '{"extends": "./base.json", "compilerOptions": {"strict": true}, "include": ["src"]}',
+    },
+    {
+      code: '{"info": {"version": "1", "title": "A"}, "openapi": "3.1.0"}',
+      options: ['asc', { overrides: [{ preset: 'openapi' }] }],
+      errors: [
+        "Expected info object keys to be in custom order. 'title' should be before 'version'.",
+        "Expected object keys to be in custom order. 'openapi' should be before 'info'.",
+      ],
+      output: '{"openapi": "3.1.0", "info": {"version": "1", "title": "A"}}',
+    },
+    {
+      code: '{"jobs": {"test": {"steps": [{"run": "npm test", "name": "Test"}], "runs-on": "ubuntu-latest"}}}',
+      options: ['asc', { overrides: [{ preset: 'github-actions' }] }],
+      errors: [
+        "Expected object keys to be in custom order. 'name' should be before 'run'.",
+        "Expected test object keys to be in custom order. 'runs-on' should be before 'steps'.",
+      ],
+      output: '{"jobs": {"test": {"runs-on": "ubuntu-latest", "steps": [{"run": "npm test", "name": "Test"}]}}}',
+    },
+
+    // directive comments
+    {
+      code: '/* sort-keys-plus desc */ {"a": 1, "b": 2}',
+      errors: ["Expected object keys to be in descending order. 'b' should be before 'a'."],
+      output: '/* sort-keys-plus desc */ {"b": 2, "a": 1}',
+    },
+  ],
+})
+
+// The schema cannot express these, so they are rejected when the rule is created
+/* eslint-env jest */
+describe('sort-keys options', () => {
+  it.each([
+    [
+      { overrides: [{ order: ['a'] }, { properties: ['x'] }] },
+      'Invalid option overrides[1]: needs an "order", or "ignore": true.',
+    ],
+    [{ overrides: [{ ignore: true }] }, 'Invalid option overrides[0]: "ignore" needs one of'],
+    [{ overrides: [{ preset: 'mongo' }] }, 'Invalid option overrides[0]: unknown preset "mongo".'],
+    [
+      { overrides: [{ properties: ['x'], order: ['a'], ignore: true }] },
+      'Invalid option overrides[0]: "ignore" and "order" conflict',
+    ],
+    [
+      { overrides: [{ preset: 'mongodb', order: ['a'] }] },
+      'Invalid option overrides[0]: "preset" cannot be combined with "order".',
+    ],
+    [{ collation: { numeric: true } }, '"collation" is only used with "locale"'],
+    [
+      { overrides: [{ properties: ['x'], ignore: true, unknownKeys: 'error' }] },
+      'Invalid option overrides[0]: "unknownKeys" and "requiredKeys" are only used with an "order".',
+    ],
+    [
+      { overrides: [{ order: ['a', '...'], unknownKeys: 'error' }] },
+      'Invalid option overrides[0]: "unknownKeys": "error" cannot be used with "..." in "order"',
+    ],
+    [
+      { overrides: [{ order: ['a', 'b*'], unknownKeys: 'error', requiredKeys: ['bc', 'd'] }] },
+      'Invalid option overrides[0]: "requiredKeys" has "d", which is an unknown key',
+    ],
+    [{ overrides: [{ order: ['a', 'b', 'a'] }] }, 'Invalid option overrides[0]: "order" lists "a" more than once.'],
+    [
+      { overrides: [{ esquery: 'Property[', ignore: true }] },
+      'Invalid option overrides[0]: invalid "esquery" selector',
+    ],
+    [{ overrides: [{ order: ['/[/'] }] }, 'Invalid option overrides[0]: Invalid regular expression'],
+    [
+      { overrides: [{ order: ['a'] }, { path: '/(/', ignore: true }] },
+      'Invalid option overrides[1]: Invalid regular expression',
+    ],
+    [
+      { allowCommentSeparatedGroups: '(' },
+      'Invalid options: "allowCommentSeparatedGroups": Invalid regular expression',
+    ],
+  ])('rejects %j', async (options, error) => {
+    const eslint = new ESLint({
+      useEslintrc: false,
+      plugins: { 'sort-keys-plus': { rules: { 'sort-keys': rule } } },
+      overrideConfig: { plugins: ['sort-keys-plus'], rules: { 'sort-keys-plus/sort-keys': ['error', 'asc', options] } },
+    })
+
+    await expect(eslint.lintText('var obj = {a: 1, b: 2}')).rejects.toThrow(error)
+  })
+})
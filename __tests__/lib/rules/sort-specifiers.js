@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests for sort-specifiers rule.
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/sort-specifiers')
+const RuleTester = require('eslint').RuleTester
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({ parserOptions: { ecmaVersion: 2022, sourceType: 'module' } })
+
+ruleTester.run('sort-specifiers', rule, {
+  valid: [
+    { code: "import { a, b, c } from 'x'", options: [] },
+    { code: "import z, { a, b } from 'x'", options: [] },
+    { code: "import * as z from 'x'", options: [] },
+    { code: "import { c, b, a } from 'x'", options: ['desc'] },
+    { code: "import { a as z, b as y } from 'x'", options: [] },
+    { code: "import { A, b } from 'x'", options: ['asc', { caseSensitive: false }] },
+    { code: "import { a2, a10 } from 'x'", options: ['asc', { natural: true }] },
+    { code: 'export { a, b as a2, c }; const a = 1, b = 2, c = 3', options: [] },
+    { code: "export { a, b } from 'x'", options: [] },
+    { code: "export { 'a-b' as ab, c } from 'x'", options: [] },
+    { code: 'export const b = 1, a = 2', options: [] },
+    { code: "import { b, a } from 'x'", options: ['asc', { minKeys: 3 }] },
+    { code: "import {\n  b,\n  c,\n\n  a,\n} from 'x'", options: ['asc', { allowLineSeparatedGroups: true }] },
+    {
+      code: "import { useState, useEffect } from 'react'",
+      options: ['asc', { overrides: [{ properties: ['react'], order: ['useState', '...'] }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "import { b, a } from 'x'",
+      errors: ["Expected specifiers to be in ascending order. 'a' should be before 'b'."],
+      output: "import { a, b } from 'x'",
+    },
+    {
+      code: "import z, { c as a, b } from 'x'",
+      errors: ["Expected specifiers to be in ascending order. 'b' should be before 'c'."],
+      output: "import z, { b, c as a } from 'x'",
+    },
+    {
+      code: "import {\n  c, // about c\n  /* about b */ b,\n  a,\n} from 'x'",
+      errors: [
+        "Expected specifiers to be in ascending order. 'b' should be before 'c'.",
+        "Expected specifiers to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: "import {\n  a,\n  /* about b */ b,\n  c, // about c\n} from 'x'",
+    },
+    {
+      code: 'export { c as a, b }; const b = 1, c = 2',
+      errors: ["Expected specifiers to be in ascending order. 'b' should be before 'c'."],
+      output: 'export { b, c as a }; const b = 1, c = 2',
+    },
+    {
+      code: "export { c, 'b-c' as bc } from 'x'",
+      errors: ["Expected specifiers to be in ascending order. 'b-c' should be before 'c'."],
+      output: "export { 'b-c' as bc, c } from 'x'",
+    },
+    {
+      code: "import { useEffect, useState } from 'react'",
+      options: ['asc', { overrides: [{ properties: ['react'], order: ['useState', '...'] }] }],
+      errors: ["Expected 'react' specifiers to be in custom order. 'useState' should be before 'useEffect'."],
+      output: "import { useState, useEffect } from 'react'",
+    },
+    {
+      code: 'export { a, b }; const a = 1, b = 2',
+      options: ['asc', { overrides: [{ order: ['b', 'a'] }] }],
+      errors: ["Expected specifiers to be in custom order. 'b' should be before 'a'."],
+      output: 'export { b, a }; const a = 1, b = 2',
+    },
+  ],
+})
+
+const tsRuleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+  parserOptions: { sourceType: 'module' },
+})
+
+tsRuleTester.run('sort-specifiers (typescript)', rule, {
+  valid: [
+    { code: "import type { A, B } from 'x'", options: [] },
+    { code: "import { type B, a, c } from 'x'", options: ['asc', { typeSpecifiers: 'first' }] },
+    { code: "export { a, type B } from 'x'", options: ['asc', { typeSpecifiers: 'last' }] },
+  ],
+  invalid: [
+    {
+      code: "import type { B, A } from 'x'",
+      errors: ["Expected specifiers to be in ascending order. 'A' should be before 'B'."],
+      output: "import type { A, B } from 'x'",
+    },
+    {
+      code: "import { a, type C, b, type B } from 'x'",
+      options: ['asc', { typeSpecifiers: 'first' }],
+      errors: [
+        "Expected type specifiers to be first. 'C' should be before 'a'.",
+        "Expected type specifiers to be first. 'B' should be before 'b'.",
+      ],
+      output: "import { type B, type C, a, b } from 'x'",
+    },
+    {
+      code: "import d, { c as x, type b, a /* a */ } from 'm'",
+      errors: [
+        "Expected specifiers to be in ascending order. 'b' should be before 'c'.",
+        "Expected specifiers to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: "import d, { a /* a */, type b, c as x } from 'm'",
+    },
+  ],
+})
@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Tests for sort-type-constituents rule.
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/sort-type-constituents')
+const RuleTester = require('eslint').RuleTester
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+})
+
+ruleTester.run('sort-type-constituents', rule, {
+  valid: [
+    { code: "type A = 'a' | 'b' | 'c'", options: [] },
+    { code: 'type A = B & C & D', options: [] },
+    { code: "type A = 'c' | 'b' | 'a'", options: ['desc'] },
+    { code: 'type A = \'a\' | "b"', options: [] },
+    { code: "type A = 'b' | 'a'", options: ['asc', { minKeys: 3 }] },
+    {
+      code: "type Size = 'small' | 'medium' | 'large'",
+      options: ['asc', { overrides: [{ properties: ['Size'], order: ['small', 'medium', 'large'] }] }],
+    },
+    {
+      code: "interface A { size: 'small' | 'large' }",
+      options: ['asc', { overrides: [{ properties: ['size'], order: ['small', 'large'] }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: "type A = 'b' | 'a'",
+      errors: ["Expected union constituents to be in ascending order. 'a' should be before 'b'."],
+      output: "type A = 'a' | 'b'",
+    },
+    {
+      code: "let a: 'a' | 'b'",
+      options: ['asc', { overrides: [{ order: ['b', 'a'] }] }],
+      errors: ["Expected union constituents to be in custom order. 'b' should be before 'a'."],
+      output: "let a: 'b' | 'a'",
+    },
+    {
+      code: 'type A = C & B',
+      errors: ["Expected intersection constituents to be in ascending order. 'B' should be before 'C'."],
+      output: 'type A = B & C',
+    },
+    {
+      code: "type A =\n  | 'c' // about c\n  | 'b'\n  | 'a'",
+      errors: [
+        "Expected union constituents to be in ascending order. 'b' should be before 'c'.",
+        "Expected union constituents to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: "type A =\n  | 'a'\n  | 'b'\n  | 'c' // about c",
+    },
+    {
+      code: 'interface A { size: number | string | null }',
+      errors: ["Expected union constituents to be in ascending order. 'null' should be before 'string'."],
+      output: 'interface A { size: null | number | string }',
+    },
+
+    // not fixable when moving the constituents could change the type or leave parentheses behind
+    {
+      code: 'type F = ((b: string) => void) & ((a: number) => void)',
+      errors: [
+        "Expected intersection constituents to be in ascending order. '(a: number) => void' should be before '(b: string) => void'.",
+      ],
+      output: null,
+    },
+    {
+      code: 'type A = string | (() => void)',
+      errors: ["Expected union constituents to be in ascending order. '() => void' should be before 'string'."],
+      output: null,
+    },
+  ],
+})
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Tests for sort-type-keys rule.
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const rule = require('../../../lib/rules/sort-type-keys')
+const RuleTester = require('eslint').RuleTester
+
+// ------------------------------------------------------------------------------
+// Tests
+// ------------------------------------------------------------------------------
+
+const ruleTester = new RuleTester({
+  parser: require.resolve('@typescript-eslint/parser'),
+})
+
+ruleTester.run('sort-type-keys', rule, {
+  valid: [
+    // default (asc)
+    { code: 'interface A { a: string; b: number; c: boolean }', options: [] },
+    { code: 'type A = { a: string; b: number; c: boolean }', options: [] },
+    { code: 'type A = { _: 1, a: 2, b: 3 }', options: [] },
+    { code: "interface A { 1: 1; '11': 2; 2: 4; A: 3 }", options: [] },
+    { code: 'interface A { a(): void; b?: string; readonly c: number }', options: [] },
+
+    // desc, insensitive, natural
+    { code: 'interface A { c: 1; b: 2; a: 3 }', options: ['desc'] },
+    { code: 'interface A { a: 1; B: 2; c: 3 }', options: ['asc', { caseSensitive: false }] },
+    { code: 'interface A { a1: 1; a2: 2; a10: 3 }', options: ['asc', { natural: true }] },
+
+    // minKeys, ignoreSingleLine
+    { code: 'interface A { b: 1; a: 2 }', options: ['asc', { minKeys: 3 }] },
+    { code: 'interface A { b: 1; a: 2 }', options: ['asc', { ignoreSingleLine: true }] },
+
+    // signatures which are not grouped are left in place
+    { code: 'interface A { b: 1; (): void; a: 2 }', options: [] },
+    { code: 'interface A { b: 1; new (): A; a: 2 }', options: [] },
+    { code: 'interface A { b: 1; [key: string]: any; a: 2 }', options: [] },
+    { code: 'interface A { b: 1; [Symbol.iterator](): void; a: 2 }', options: [] },
+
+    // allowLineSeparatedGroups
+    {
+      code: `
+        interface A {
+          c: 1
+          d: 2
+
+          a: 3
+          b: 4
+        }
+      `,
+      options: ['asc', { allowLineSeparatedGroups: true }],
+    },
+
+    // groups
+    {
+      code: 'interface A { (x: number): void; (x: string): void; new (): A; [key: string]: any; a: 1 }',
+      options: ['asc', { callSignatures: 'first', constructSignatures: 'first', indexSignatures: 'first' }],
+    },
+    {
+      code: 'interface A { a: 1; [key: string]: any }',
+      options: ['asc', { indexSignatures: 'last' }],
+    },
+    {
+      code: 'interface A { readonly b: 1; readonly c: 2; a: 3 }',
+      options: ['asc', { readonly: 'first' }],
+    },
+    {
+      code: 'interface A { b: 1; d: 2; a?: 3; c?: 4 }',
+      options: ['asc', { optional: 'last' }],
+    },
+    {
+      code: 'interface A { readonly b?: 1; a: 2; c?: 3 }',
+      options: ['asc', { readonly: 'first', optional: 'last' }],
+    },
+
+    // overrides
+    {
+      code: 'interface Lookup { from: 1; localField: 2; foreignField: 3; as: 4 }',
+      options: [
+        'asc',
+        { overrides: [{ properties: ['Lookup'], order: ['from', 'localField', 'foreignField', 'as'] }] },
+      ],
+    },
+    {
+      code: 'type Stage = { $lookup: { from: 1; as: 2 } }',
+      options: ['asc', { overrides: [{ properties: ['$lookup'], order: ['from', 'as'] }] }],
+    },
+    {
+      code: 'interface Props { z: 1; a: 2 }',
+      options: ['asc', { overrides: [{ properties: ['Props'], ignore: true }] }],
+    },
+    {
+      code: 'type A = { y: 1; x: 2 }',
+      options: ['asc', { overrides: [{ order: ['y', 'x'] }] }],
+    },
+  ],
+  invalid: [
+    {
+      code: 'interface A { b: string; a: number }',
+      errors: ["Expected type keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'interface A { a: number; b: string }',
+    },
+    {
+      code: 'type A = { c: 1, b: 2, a: 3 }',
+      errors: [
+        "Expected type keys to be in ascending order. 'b' should be before 'c'.",
+        "Expected type keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'type A = { a: 3, b: 2, c: 1 }',
+    },
+    {
+      code: 'interface A {\n  b(): void\n  // comment\n  a?: string\n}',
+      errors: ["Expected type keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'interface A {\n  // comment\n  a?: string\n  b(): void\n}',
+    },
+    {
+      code: 'interface A {\n  b: string; // about b\n  /** about a */\n  a: string;\n}',
+      errors: ["Expected type keys to be in ascending order. 'a' should be before 'b'."],
+      output: 'interface A {\n  /** about a */\n  a: string;\n  b: string; // about b\n}',
+    },
+    {
+      code: 'interface A { a: 1; c: { z: 1; y: 2 }; b: 3 }',
+      errors: [
+        "Expected type keys to be in ascending order. 'y' should be before 'z'.",
+        "Expected type keys to be in ascending order. 'b' should be before 'c'.",
+      ],
+      output: 'interface A { a: 1; b: 3; c: { z: 1; y: 2 } }',
+    },
+    {
+      code: 'interface A { a: 1; b: 2 }',
+      options: ['desc'],
+      errors: ["Expected type keys to be in descending order. 'b' should be before 'a'."],
+      output: 'interface A { b: 2; a: 1 }',
+    },
+    {
+      code: 'interface A { b: 1; (): void; d: 2; c: 3 }',
+      errors: ["Expected type keys to be in ascending order. 'c' should be before 'd'."],
+      output: 'interface A { b: 1; (): void; c: 3; d: 2 }',
+    },
+
+    // groups
+    {
+      code: 'interface A { a: 1; (x: number): void; b: 2; (x: string): void }',
+      options: ['asc', { callSignatures: 'first' }],
+      errors: [
+        "Expected call signatures to be first. '()' should be before 'a'.",
+        "Expected call signatures to be first. '()' should be before 'b'.",
+      ],
+      output: 'interface A { (x: number): void; (x: string): void; a: 1; b: 2 }',
+    },
+    {
+      code: 'interface A { new (): A; a: 1 }',
+      options: ['asc', { constructSignatures: 'last' }],
+      errors: ["Expected construct signatures to be last. 'a' should be before 'new ()'."],
+      output: 'interface A { a: 1; new (): A }',
+    },
+    {
+      code: 'interface A { a: 1; [key: string]: any }',
+      options: ['asc', { indexSignatures: 'first' }],
+      errors: ["Expected index signatures to be first. '[key: string]' should be before 'a'."],
+      output: 'interface A { [key: string]: any; a: 1 }',
+    },
+    {
+      code: 'interface A { a: 1; readonly b: 2 }',
+      options: ['asc', { readonly: 'first' }],
+      errors: ["Expected readonly members to be first. 'b' should be before 'a'."],
+      output: 'interface A { readonly b: 2; a: 1 }',
+    },
+    {
+      code: 'interface A { a?: 1; c?: 2; b: 3 }',
+      options: ['asc', { optional: 'last' }],
+      errors: ["Expected optional members to be last. 'b' should be before 'c'."],
+      output: 'interface A { b: 3; a?: 1; c?: 2 }',
+    },
+
+    // allowLineSeparatedGroups
+    {
+      code: 'interface A {\n  d: 1\n  c: 2\n\n  b: 3\n  a: 4\n}',
+      options: ['asc', { allowLineSeparatedGroups: true }],
+      errors: [
+        "Expected type keys to be in ascending order. 'c' should be before 'd'.",
+        "Expected type keys to be in ascending order. 'a' should be before 'b'.",
+      ],
+      output: 'interface A {\n  c: 2\n  d: 1\n\n  a: 4\n  b: 3\n}',
+    },
+
+    // overrides
+    {
+      code: 'interface Lookup { as: 1; from: 2 }',
+      options: ['asc', { overrides: [{ properties: ['Lookup'], order: ['from', 'as'] }] }],
+      errors: ["Expected Lookup type keys to be in custom order. 'from' should be before 'as'."],
+      output: 'interface Lookup { from: 2; as: 1 }',
+    },
+    {
+      code: 'type Stage = { $lookup: { as: 1; from: 2 } }',
+      options: ['asc', { overrides: [{ message: 'CUSTOM_MESSAGE', properties: ['$lookup'], order: ['from', 'as'] }] }],
+      errors: ["CUSTOM_MESSAGE 'from' should be before 'as'."],
+      output: 'type Stage = { $lookup: { from: 2; as: 1 } }',
+    },
+    {
+      code: 'function f(a: { z: 1; a: 2 }) {}',
+      options: [
+        'asc',
+        { overrides: [{ esquery: 'Identifier > TSTypeAnnotation > TSTypeLiteral', order: ['a', 'z'] }] },
+      ],
+      errors: ["Expected type keys to be in custom order. 'a' should be before 'z'."],
+      output: 'function f(a: { a: 2; z: 1 }) {}',
+    },
+  ],
+})
@@ -1,5 +1,40 @@
 'use strict'
 
-module.exports.rules = {
-  'sort-keys': require('./rules/sort-keys')
+const rules = {
+  'sort-class-members': require('./rules/sort-class-members'),
+  'sort-enum-members': require('./rules/sort-enum-members'),
+  'sort-jsx-attributes': require('./rules/sort-jsx-attributes'),
+  'sort-keys': require('./rules/sort-keys'),
+  'sort-specifiers': require('./rules/sort-specifiers'),
+  'sort-type-constituents': require('./rules/sort-type-constituents'),
+  'sort-type-keys': require('./rules/sort-type-keys'),
 }
+
+/** Rules of the `recommended` configs. `sort-keys` replaces the core rule of the same name. */
+const recommendedRules = {
+  'sort-keys': 'off',
+  'sort-keys-plus/sort-keys': 'warn',
+}
+
+/** Rules of the `strict` configs: every rule of the plugin, as errors */
+const strictRules = {
+  'sort-keys': 'off',
+  ...Object.fromEntries(Object.keys(rules).map(name => [`sort-keys-plus/${name}`, 'error'])),
+}
+
+const plugin = {
+  rules,
+  presets: require('./presets'),
+  configs: {
+    recommended: { plugins: ['sort-keys-plus'], rules: recommendedRules },
+    strict: { plugins: ['sort-keys-plus'], rules: strictRules },
+  },
+}
+
+// Flat configs refer to the plugin object itself
+Object.assign(plugin.configs, {
+  'flat/recommended': { plugins: { 'sort-keys-plus': plugin }, rules: recommendedRules },
+  'flat/strict': { plugins: { 'sort-keys-plus': plugin }, rules: strictRules },
+})
+
+module.exports = plugin
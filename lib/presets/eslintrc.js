@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Overrides for sorting `.eslintrc` files
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { configObject } = require('./selectors')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+const configOrder = [
+  'extends',
+  'plugins',
+  'parser',
+  'parserOptions',
+  'processor',
+  'env',
+  'globals',
+  'settings',
+  'rules',
+  'overrides',
+]
+
+// ------------------------------------------------------------------------------
+// Public Interface
+// ------------------------------------------------------------------------------
+
+/** @type {import('../rules/utils/sort-utils').Override[]} */
+module.exports = [
+  {
+    esquery: configObject,
+    order: ['$schema', 'root', 'ignorePatterns', 'reportUnusedDisableDirectives', ...configOrder],
+  },
+  { path: 'overrides[]', order: ['files', 'excludedFiles', ...configOrder] },
+]
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Overrides for sorting GitHub Actions workflows
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { configObject } = require('./selectors')
+
+// ------------------------------------------------------------------------------
+// Public Interface
+// ------------------------------------------------------------------------------
+
+/** @type {import('../rules/utils/sort-utils').Override[]} */
+module.exports = [
+  {
+    esquery: configObject,
+    order: ['name', 'run-name', 'on', 'permissions', 'env', 'defaults', 'concurrency', 'jobs'],
+  },
+  {
+    path: 'jobs.*',
+    order: [
+      'name',
+      'needs',
+      'if',
+      'runs-on',
+      'environment',
+      'permissions',
+      'concurrency',
+      'outputs',
+      'env',
+      'defaults',
+      'timeout-minutes',
+      'continue-on-error',
+      'strategy',
+      'container',
+      'services',
+      'uses',
+      'with',
+      'secrets',
+      'steps',
+    ],
+  },
+  {
+    path: 'jobs.*.steps[]',
+    order: [
+      'name',
+      'id',
+      'if',
+      'uses',
+      'run',
+      'shell',
+      'working-directory',
+      'with',
+      'env',
+      'continue-on-error',
+      'timeout-minutes',
+    ],
+  },
+  { path: 'jobs.*.strategy', order: ['matrix', 'fail-fast', 'max-parallel'] },
+]
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Preset overrides for well-known files
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+module.exports = {
+  eslintrc: require('./eslintrc'),
+  'github-actions': require('./github-actions'),
+  mongodb: require('./mongodb'),
+  openapi: require('./openapi'),
+  'package-json': require('./package-json'),
+  tsconfig: require('./tsconfig'),
+}
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Overrides for sorting MongoDB queries, updates and aggregation pipelines
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Public Interface
+// ------------------------------------------------------------------------------
+
+/** @type {import('../rules/utils/sort-utils').Override[]} */
+module.exports = [
+  // The keys of a sort or index specification are its priority, so their order is significant.
+  {
+    esquery:
+      'CallExpression[callee.property.name=/^(sort|createIndex|ensureIndex|hint)$/] > ObjectExpression:first-child',
+    ignore: true,
+  },
+  { path: '**./^(\\$sort|sort|sortBy)$/', ignore: true },
+  { path: '**.$group', order: ['_id', '...'] },
+  { path: '**.$lookup', order: ['from', 'localField', 'foreignField', 'let', 'pipeline', 'as'] },
+  {
+    path: '**.$graphLookup',
+    order: [
+      'from',
+      'startWith',
+      'connectFromField',
+      'connectToField',
+      'as',
+      'maxDepth',
+      'depthField',
+      'restrictSearchWithMatch',
+    ],
+  },
+  { path: '**.$unwind', order: ['path', 'includeArrayIndex', 'preserveNullAndEmptyArrays'] },
+  { path: '**.$bucket', order: ['groupBy', 'boundaries', 'default', 'output'] },
+  { path: '**.$bucketAuto', order: ['groupBy', 'buckets', 'output', 'granularity'] },
+  { path: '**.$merge', order: ['into', 'on', 'let', 'whenMatched', 'whenNotMatched'] },
+  { path: '**.$cond', order: ['if', 'then', 'else'] },
+  { path: '**.$switch', order: ['branches', 'default'] },
+  { path: '**.$switch.branches[]', order: ['case', 'then'] },
+  { path: '**.$filter', order: ['input', 'as', 'cond', 'limit'] },
+  { path: '**.$map', order: ['input', 'as', 'in'] },
+  { path: '**.$reduce', order: ['input', 'initialValue', 'in'] },
+  { path: '**.$let', order: ['vars', 'in'] },
+]
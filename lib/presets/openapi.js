@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Overrides for sorting OpenAPI and Swagger documents
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { configObject } = require('./selectors')
+
+// ------------------------------------------------------------------------------
+// Public Interface
+// ------------------------------------------------------------------------------
+
+/** @type {import('../rules/utils/sort-utils').Override[]} */
+module.exports = [
+  {
+    esquery: configObject,
+    order: [
+      'openapi',
+      'swagger',
+      'info',
+      'jsonSchemaDialect',
+      'servers',
+      'host',
+      'basePath',
+      'schemes',
+      'consumes',
+      'produces',
+      'tags',
+      'paths',
+      'webhooks',
+      'components',
+      'definitions',
+      'parameters',
+      'responses',
+      'securityDefinitions',
+      'security',
+      'externalDocs',
+    ],
+  },
+  { path: 'info', order: ['title', 'summary', 'description', 'termsOfService', 'contact', 'license', 'version'] },
+  // Paths are usually grouped by resource, and the properties of a schema are shown in the order they are written.
+  { path: 'paths', ignore: true },
+  { path: '**.properties', ignore: true },
+  {
+    path: 'paths.*',
+    order: [
+      '$ref',
+      'summary',
+      'description',
+      'servers',
+      'parameters',
+      'get',
+      'put',
+      'post',
+      'delete',
+      'options',
+      'head',
+      'patch',
+      'trace',
+    ],
+  },
+  {
+    path: 'paths.*.*',
+    order: [
+      'tags',
+      'summary',
+      'description',
+      'externalDocs',
+      'operationId',
+      'consumes',
+      'produces',
+      'parameters',
+      'requestBody',
+      'responses',
+      'callbacks',
+      'deprecated',
+      'security',
+      'servers',
+    ],
+  },
+  {
+    path: '**.parameters[]',
+    order: [
+      '$ref',
+      'name',
+      'in',
+      'description',
+      'required',
+      'deprecated',
+      'allowEmptyValue',
+      'style',
+      'explode',
+      'allowReserved',
+      'schema',
+      'example',
+      'examples',
+      'content',
+    ],
+  },
+]
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Overrides for sorting `package.json` files
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { rootObject } = require('./selectors')
+
+// ------------------------------------------------------------------------------
+// Public Interface
+// ------------------------------------------------------------------------------
+
+/** @type {import('../rules/utils/sort-utils').Override[]} */
+module.exports = [
+  {
+    esquery: rootObject,
+    order: [
+      '$schema',
+      'name',
+      'displayName',
+      'version',
+      'private',
+      'description',
+      'categories',
+      'keywords',
+      'homepage',
+      'bugs',
+      'repository',
+      'funding',
+      'license',
+      'author',
+      'contributors',
+      'maintainers',
+      'publisher',
+      'sideEffects',
+      'type',
+      'imports',
+      'exports',
+      'main',
+      'module',
+      'browser',
+      'types',
+      'typesVersions',
+      'typings',
+      'bin',
+      'man',
+      'directories',
+      'files',
+      'workspaces',
+      'scripts',
+      'config',
+      'dependencies',
+      'devDependencies',
+      'peerDependencies',
+      'peerDependenciesMeta',
+      'optionalDependencies',
+      'bundleDependencies',
+      'bundledDependencies',
+      'overrides',
+      'resolutions',
+      'packageManager',
+      'engines',
+      'os',
+      'cpu',
+      'publishConfig',
+    ],
+  },
+  // Conditions in `exports` and `imports`, and the entries of `typesVersions`, are matched in order.
+  {
+    esquery: 'JSONProperty[key.value=/^(exports|imports|typesVersions)$/] JSONObjectExpression',
+    ignore: true,
+  },
+  { properties: ['author'], order: ['name', 'email', 'url'] },
+  { properties: ['bugs'], order: ['url', 'email'] },
+  { properties: ['repository'], order: ['type', 'url', 'directory'] },
+  { properties: ['funding'], order: ['type', 'url'] },
+]
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Selectors shared by the presets
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+/** The top level object of a JSON file parsed by `jsonc-eslint-parser` */
+const rootObject = 'Program > JSONExpressionStatement > JSONObjectExpression'
+
+module.exports = {
+  rootObject,
+  /** The top level object of a JSON file, or the object exported by a JavaScript file */
+  configObject: `:matches(${rootObject}, AssignmentExpression[left.object.name=module][left.property.name=exports] > ObjectExpression, ExportDefaultDeclaration > ObjectExpression)`,
+}
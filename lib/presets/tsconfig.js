@@ -0,0 +1,24 @@
+/**
+ * @fileoverview Overrides for sorting `tsconfig.json` and `jsconfig.json` files
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { rootObject } = require('./selectors')
+
+// ------------------------------------------------------------------------------
+// Public Interface
+// ------------------------------------------------------------------------------
+
+/** @type {import('../rules/utils/sort-utils').Override[]} */
+module.exports = [
+  {
+    esquery: rootObject,
+    order: ['$schema', 'extends', 'compilerOptions', 'include', 'exclude', 'files', 'references'],
+  },
+]
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Rule to require class members to be sorted
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const astUtils = require('./utils/ast-utils')
+const { baseOptionsSchema, createMemberSorter, validCustomOrderComparator } = require('./utils/sort-utils')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/** @typedef {import('./utils/sort-utils').SortItem} SortItem */
+/** @typedef {'static-fields' | 'static-methods' | 'instance-fields' | 'constructor' | 'accessors' | 'methods' | 'private'} MemberGroup */
+/**
+ * Option for the order of the member groups of a class
+ * @typedef ClassMemberOptions
+ * @property {MemberGroup[]} [groups] Order of the member groups
+ */
+/** @typedef {import('./utils/sort-utils').MemberSorterOptions & ClassMemberOptions} Options */
+
+/** @type {Record<MemberGroup, string>} */
+const groupLabels = {
+  'static-fields': 'static fields',
+  'static-methods': 'static methods',
+  'instance-fields': 'instance fields',
+  constructor: 'constructor',
+  accessors: 'accessors',
+  methods: 'methods',
+  private: 'private members',
+}
+
+/** @type {MemberGroup[]} */
+const defaultGroups = ['static-fields', 'instance-fields', 'constructor', 'static-methods', 'accessors', 'methods']
+
+/**
+ * Gets the name of a class member. Private members keep their `#`.
+ * Members with a computed key that is not a literal, and static blocks, have no name.
+ * @param {any} node The member node.
+ * @returns {string|null} The member name or null.
+ */
+function getMemberName(node) {
+  if (!node.key) {
+    return null
+  }
+  if (node.key.type === 'PrivateIdentifier') {
+    return `#${node.key.name}`
+  }
+  if (node.computed && node.key.type !== 'Literal' && node.key.type !== 'TemplateLiteral') {
+    return null
+  }
+  return astUtils.getStaticPropertyName(node)
+}
+
+/**
+ * Gets the group of a class member, ignoring whether it is private.
+ * Static accessors are grouped with the static methods.
+ * @param {any} node The member node.
+ * @returns {MemberGroup} member group
+ */
+function getMemberKind(node) {
+  if (node.type === 'MethodDefinition' || node.type === 'TSAbstractMethodDefinition') {
+    if (node.kind === 'constructor') {
+      return 'constructor'
+    }
+    if (node.static) {
+      return 'static-methods'
+    }
+    return node.kind === 'get' || node.kind === 'set' ? 'accessors' : 'methods'
+  }
+  return node.static ? 'static-fields' : 'instance-fields'
+}
+
+/**
+ * Gets the name used to match the `properties` of an override: the name of the class, or of the variable or
+ * property it is assigned to.
+ * @param {any} node `ClassBody` node
+ * @returns {string | null} parent name
+ */
+function getParentName(node) {
+  const classNode = node.parent
+
+  if (classNode.id) {
+    return classNode.id.name
+  }
+  if (classNode.parent.type === 'VariableDeclarator' && classNode.parent.id.type === 'Identifier') {
+    return classNode.parent.id.name
+  }
+  if (classNode.parent.type === 'Property') {
+    return astUtils.getStaticPropertyName(classNode.parent)
+  }
+  return null
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description: 'require class members to be sorted',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#sort-class-members',
+    },
+
+    schema: [
+      {
+        enum: ['asc', 'desc'],
+      },
+      {
+        type: 'object',
+        properties: {
+          ...baseOptionsSchema,
+          groups: {
+            type: 'array',
+            items: { enum: Object.keys(groupLabels) },
+            uniqueItems: true,
+            default: defaultGroups,
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+
+    messages: {
+      sortClassMembers:
+        "Expected class members to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortClassMembersAllCaps:
+        "Expected all caps class members to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortClassMembersGroup:
+        "Expected {{thisGroup}} to be before {{prevGroup}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortClassMembersOverride:
+        "Expected {{parentName}}class members to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode()
+
+    /** @type {Options} */
+    const options = context.options[1] || {}
+    const groups = options.groups || defaultGroups
+    const isValidOrderGroup = validCustomOrderComparator(groups)
+    const hasPrivateGroup = groups.includes('private')
+
+    /**
+     * Gets the group of a class member
+     * @param {any} node The member node.
+     * @returns {MemberGroup} member group
+     */
+    function getMemberGroup(node) {
+      return hasPrivateGroup && node.key && node.key.type === 'PrivateIdentifier' ? 'private' : getMemberKind(node)
+    }
+
+    /**
+     * Check if the order of the fields matters: a field initializer which reads `this` or the class itself may
+     * depend on a field which is initialized before it. Functions in initializers are not run until later.
+     * @param {any} node `ClassBody` node
+     * @returns {boolean} if a field initializer may depend on another field
+     */
+    function hasDependentInitializers(node) {
+      const className = node.parent.id && node.parent.id.name
+
+      /**
+       * Search an expression for `this` or the class name, without entering functions
+       * @param {any} expression AST Node
+       * @returns {boolean} if found
+       */
+      function readsClass(expression) {
+        if (
+          expression.type === 'ThisExpression' ||
+          (expression.type === 'Identifier' && expression.name === className)
+        ) {
+          return true
+        }
+        if (expression.type === 'ArrowFunctionExpression' || expression.type === 'FunctionExpression') {
+          return false
+        }
+        return (sourceCode.visitorKeys[expression.type] || []).some(key =>
+          [].concat(expression[key]).some(child => child && typeof child.type === 'string' && readsClass(child)),
+        )
+      }
+
+      return node.body.some(
+        member => member.type === 'PropertyDefinition' && member.value && !member.computed && readsClass(member.value),
+      )
+    }
+
+    /**
+     * Check if moving members could join a field without a semicolon to the next member, as in `a = b` followed by
+     * `[c] = d` or `*gen() {}`, or by any member on the same line.
+     * @param {any} node `ClassBody` node
+     * @returns {boolean} if reordering the members is unsafe without semicolons
+     */
+    function hasAsiHazard(node) {
+      const hasFieldWithoutSemicolon = node.body.some(
+        member => member.type === 'PropertyDefinition' && sourceCode.getLastToken(member).value !== ';',
+      )
+
+      return (
+        hasFieldWithoutSemicolon &&
+        node.body.some((member, i) => {
+          const firstToken = sourceCode.getFirstToken(member)
+
+          return (
+            firstToken.value === '[' ||
+            firstToken.value === '*' ||
+            (i > 0 && node.body[i - 1].loc.end.line === member.loc.start.line)
+          )
+        })
+      )
+    }
+
+    const sortMembers = createMemberSorter(context, {
+      messageIds: {
+        order: 'sortClassMembers',
+        allCaps: 'sortClassMembersAllCaps',
+        override: 'sortClassMembersOverride',
+      },
+      getName: getMemberName,
+      checks: [
+        {
+          test: (a, b) => isValidOrderGroup(getMemberGroup(a.node), getMemberGroup(b.node)),
+          messageId: 'sortClassMembersGroup',
+          getData: (prev, item) => ({
+            prevGroup: groupLabels[getMemberGroup(prev.node)],
+            thisGroup: groupLabels[getMemberGroup(item.node)],
+          }),
+        },
+      ],
+      canFix: node => !hasDependentInitializers(node) && !hasAsiHazard(node),
+    })
+
+    return {
+      ClassBody(node) {
+        sortMembers(node, node.body, getParentName(node))
+      },
+    }
+  },
+}
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Rule to require TypeScript enum members to be sorted
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { baseOptionsSchema, createMemberSorter } = require('./utils/sort-utils')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Gets the name of an enum member, which may be a string, as in `'a-b' = 1`.
+ * @param {any} node `TSEnumMember` node
+ * @returns {string | null} member name, or null for a computed name
+ */
+function getMemberName(node) {
+  if (node.id.type === 'Identifier') {
+    return node.id.name
+  }
+  return node.id.type === 'Literal' ? String(node.id.value) : null
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description: 'require enum members to be sorted',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#sort-enum-members',
+    },
+
+    schema: [
+      {
+        enum: ['asc', 'desc'],
+      },
+      {
+        type: 'object',
+        properties: baseOptionsSchema,
+        additionalProperties: false,
+      },
+    ],
+
+    messages: {
+      sortEnumMembers:
+        "Expected enum members to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortEnumMembersAllCaps:
+        "Expected all caps enum members to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortEnumMembersOverride:
+        "Expected {{parentName}}enum members to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode()
+
+    /**
+     * Check if the values of the members depend on their order: a member without an initializer is numbered after
+     * the member before it, and an initializer may refer to a member declared before it.
+     * @param {any} node `TSEnumDeclaration` node
+     * @returns {boolean} if moving the members could change their values
+     */
+    function hasOrderDependentValues(node) {
+      const names = new Set(node.members.map(getMemberName))
+
+      /**
+       * Search an expression for a reference to a member, by its own name or through the enum
+       * @param {any} expression AST Node
+       * @returns {boolean} if found
+       */
+      function readsMember(expression) {
+        if (expression.type === 'Identifier' && (names.has(expression.name) || expression.name === node.id.name)) {
+          return true
+        }
+        return (sourceCode.visitorKeys[expression.type] || []).some(key =>
+          [].concat(expression[key]).some(child => child && typeof child.type === 'string' && readsMember(child)),
+        )
+      }
+
+      return node.members.some(member => !member.initializer || readsMember(member.initializer))
+    }
+
+    const sortMembers = createMemberSorter(context, {
+      messageIds: {
+        order: 'sortEnumMembers',
+        allCaps: 'sortEnumMembersAllCaps',
+        override: 'sortEnumMembersOverride',
+      },
+      getName: getMemberName,
+      canFix: node => !hasOrderDependentValues(node),
+    })
+
+    return {
+      TSEnumDeclaration(node) {
+        sortMembers(node, node.members, node.id.name)
+      },
+    }
+  },
+}
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Rule to require JSX attributes to be sorted
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const {
+  baseOptionsSchema,
+  createMemberSorter,
+  firstLastSchema,
+  firstLastTest,
+  groupTest,
+} = require('./utils/sort-utils')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/** @typedef {import('./utils/sort-utils').SortItem} SortItem */
+/**
+ * Shorthand and spread options of JSX attributes
+ * @typedef JsxAttributeOptions
+ * @property {'first' | 'last' | 'ignore'} [shorthand] Boolean shorthand attribute option
+ * @property {'barrier' | 'ignore-override-semantics'} [spreadBehavior] Whether attributes are sorted across spreads
+ */
+/** @typedef {import('./utils/sort-utils').MemberSorterOptions & JsxAttributeOptions} Options */
+
+/**
+ * Gets the name of a JSX element or attribute, as it is written.
+ * @param {any} node `JSXIdentifier`, `JSXNamespacedName` or `JSXMemberExpression` node
+ * @returns {string} name
+ */
+function getJsxName(node) {
+  switch (node.type) {
+    case 'JSXNamespacedName':
+      return `${node.namespace.name}:${node.name.name}`
+    case 'JSXMemberExpression':
+      return `${getJsxName(node.object)}.${node.property.name}`
+    default:
+      return node.name
+  }
+}
+
+/**
+ * Gets the name of an attribute. Spread attributes have no name.
+ * @param {any} node attribute node
+ * @returns {string | null} attribute name or null
+ */
+function getAttributeName(node) {
+  return node.type === 'JSXAttribute' ? getJsxName(node.name) : null
+}
+
+/**
+ * Check if an attribute is a spread attribute
+ * @param {any} node attribute node
+ * @returns {boolean} if the attribute is a spread attribute
+ */
+function isSpreadAttribute(node) {
+  return node.type === 'JSXSpreadAttribute'
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description: 'require JSX attributes to be sorted',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#sort-jsx-attributes',
+    },
+
+    schema: [
+      {
+        enum: ['asc', 'desc'],
+      },
+      {
+        type: 'object',
+        properties: {
+          ...baseOptionsSchema,
+          shorthand: firstLastSchema,
+          spreadBehavior: {
+            enum: ['barrier', 'ignore-override-semantics'],
+            default: 'barrier',
+          },
+        },
+        additionalProperties: false,
+      },
+    ],
+
+    messages: {
+      sortJsxAttributes:
+        "Expected JSX attributes to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortJsxAttributesAllCaps:
+        "Expected all caps JSX attributes to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortJsxAttributesOverride:
+        "Expected {{parentName}}attributes to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortJsxAttributesShorthand:
+        "Expected shorthand attributes to be {{shorthand}}. '{{thisName}}' should be before '{{prevName}}'.",
+    },
+  },
+
+  create(context) {
+    /** @type {Options} */
+    const options = context.options[1] || {}
+    const shorthand = options.shorthand || 'ignore'
+    const spreadBehavior = options.spreadBehavior || 'barrier'
+    const isValidOrderShorthand = firstLastTest(
+      shorthand,
+      groupTest(item => item.node.value === null),
+    )
+    const sortAttributes = createMemberSorter(context, {
+      messageIds: {
+        order: 'sortJsxAttributes',
+        allCaps: 'sortJsxAttributesAllCaps',
+        override: 'sortJsxAttributesOverride',
+      },
+      getName: getAttributeName,
+      checksAfterAllCaps: [
+        { test: isValidOrderShorthand, messageId: 'sortJsxAttributesShorthand', data: { shorthand } },
+      ],
+    })
+
+    return {
+      JSXOpeningElement(node) {
+        const names = node.attributes.map(getAttributeName).filter(name => name !== null)
+        // As in objects, spreads stay barriers when a name is repeated, since the last attribute of a name wins
+        const spreadsAreBarriers = spreadBehavior === 'barrier' || new Set(names).size !== names.length
+
+        sortAttributes(node, node.attributes, getJsxName(node.name), {
+          isSkipped: spreadsAreBarriers ? null : isSpreadAttribute,
+        })
+      },
+    }
+  },
+}
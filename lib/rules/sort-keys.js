@@ -9,9 +9,30 @@
 // Requirements
 // ------------------------------------------------------------------------------
 
-const esquery = require('esquery')
-const astUtils = require('./utils/ast-utils'),
-  naturalCompare = require('natural-compare')
+const astUtils = require('./utils/ast-utils')
+const {
+  baseOptionsSchema,
+  compareItems,
+  createAlphabeticalOrder,
+  createFixer,
+  createMoveFixer,
+  createNameMatcher,
+  createOrderMatcher,
+  createOrderRanker,
+  createOverrideFinder,
+  createReportDescriptor,
+  firstLastSchema,
+  firstLastTest,
+  getOrderNames,
+  getOrderViolation,
+  getSectionComment,
+  getSortableGroups,
+  getViolationData,
+  hasBlankLineBetweenNodes,
+  hasPlaceholders,
+  isValidAllCapsTest,
+  validCustomOrderComparator,
+} = require('./utils/sort-utils')
 
 // ------------------------------------------------------------------------------
 // Helpers
@@ -19,59 +40,69 @@ const astUtils = require('./utils/ast-utils'),
 
 /** @typedef {import('../shared/types').ExclusifyUnion<import('estree').Node>} ASTNode */
 /** @typedef {import('../shared/types').ExclusifyUnion<ASTNode['key']>} ASTPropKeyNode */
+/** @typedef {import('./utils/sort-utils').Override} Override */
+/** @typedef {import('./utils/sort-utils').OrderCheck} OrderCheck */
+/** @typedef {import('./utils/sort-utils').SortItem} SortItem */
+/** @typedef {'function' | 'arrow' | 'method' | 'getter' | 'setter' | 'object' | 'array' | 'literal' | 'other'} ValueKind */
 /**
- * @typedef Override
- * When `properties` and `esquery` are omitted, the object keys must be a total subset of the properties defined in `order`
- * @property {string} [message] Message
- * @property {string[]} [order] Property Order
- * @property {string[]} [properties] Name of parent property to apply this override to.
- * @property {string | string[]} [esquery] An esquery selector which must match to apply this override.
- * @property {boolean} [ignore] When true, key order is ignored for objects matching the parent "properties" or the "esquery" selector.
+ * A group of properties. A property belongs to the first group whose conditions all match.
+ * @typedef Group
+ * @property {string} [name] Name used in messages
+ * @property {string} [key] Key name, `/regex/` or glob pattern
+ * @property {ValueKind | ValueKind[]} [value] Kind of value
+ * @property {boolean} [computed] Whether the key is computed
+ * @property {boolean} [shorthand] Whether the property is shorthand
+ * @property {boolean} [quoted] Whether the key is a quoted string
+ * @property {boolean} [allCaps] Whether the key is all caps
  */
 /**
  * @typedef Options
  * @property {boolean} [caseSensitive] Use case sensitive sorting
  * @property {boolean} [natural] Use natural sorting
+ * @property {string} [locale] Compare names with `Intl.Collator` for this locale
+ * @property {import('./utils/sort-utils').Collation} [collation] `Intl.Collator` options
  * @property {number} [minKeys] Minimum Keys
  * @property {boolean} [allowLineSeparatedGroups] Allow Line Separated Groups
+ * @property {boolean | string} [allowCommentSeparatedGroups] Also start a group at a comment on lines of its own, which matches this regular expression if it is a string
  * @property {boolean} [ignoreSingleLine] Ignore Single Line
  * @property {'first' | 'last' | 'ignore'} [allCaps] All Caps option
  * @property {'first' | 'last' | 'ignore'} [shorthand] shorthand option
+ * @property {boolean} [patterns] Also sort destructuring patterns
+ * @property {(Group | '...')[]} [groups] Order of the property groups, with `...` for the properties in no group
+ * @property {'alphabetical' | 'line-length' | 'value' | 'none'} [strategy] What the properties are sorted by, after the groups
+ * @property {'barrier' | 'ignore-override-semantics'} [spreadBehavior] Whether properties are sorted across spreads
+ * @property {boolean} [suggestions] Also offer the fixes as suggestions
+ * @property {'pair' | 'object'} [report] Report each pair of keys out of order, or each object once with its expected order
  * @property {Override[]} [overrides] Overrides options
  */
-/**
- * @template [T=string]
- * @typedef {(a: T, b: T) => boolean | null} IsValidOrder
- */
 /**
  * @typedef Stack
  * @property {Stack | null} upper
  * @property {boolean} ignore
  * @property {import('estree').Property & import('eslint').Rule.NodeParentExtension | null} prevNode
- * @property {boolean} prevBlankLine
  * @property {string | null} prevName
- * @property {boolean} prevNameSkipped
+ * @property {boolean} prevNameSkipped Whether a key without a static name is between `prevName` and the next key
+ * @property {boolean} spreadsAreBarriers Whether properties are sorted separately on each side of a spread
  * @property {number} numKeys
- * @property {string} parentName
  * @property {Pick<Override, 'ignore' | 'message'>} override
- * @property {IsValidOrder} isValidOrderOverride
+ * @property {string} overrideDescription Position of the override in the `overrides` option, or '' for a directive comment
+ * @property {OrderCheck[]} checks Order checks for this object, in order of precedence
+ * @property {boolean} fixable Whether the properties can be reordered by the fixer
+ * @property {import('eslint').Rule.ReportFixer | null} fix Fixer which sorts the whole object, shared by its reports
+ * @property {string | null} hazard Why sorting the object could change its behavior, if it could
+ * @property {string | null} expected Names of the keys in the expected order, once a pair is out of order
+ * @property {{violation: OrderCheck, prev: SortItem, item: SortItem} | null} firstViolation First pair out of order, reported for the whole object
+ * @property {Directive | null} directive Directive comment of the object
  */
-
 /**
- * Combinatorial combination fn
- * @template T
- * @param {T[]} arr items
- * @param {number} minLength minimum length
- * @returns {T[][]} combinations
+ * Configuration of a single object by a `sort-keys-plus` comment
+ * @typedef Directive
+ * @property {Override | null} override Ad-hoc override, which takes the place of the configured one
+ * @property {'asc' | 'desc' | null} direction Sort direction, in place of the first option
+ * @property {boolean} natural Use natural sorting
+ * @property {boolean} insensitive Use case insensitive sorting
+ * @property {[number, number] | null} orderRange Range of the list after `order:` in the source, which suggestions edit
  */
-function combination(arr, minLength) {
-  /** @type {T[][]} */
-  const initialValue = []
-
-  return arr
-    .reduce((out, item) => [...out, [item], ...out.map(c => [...c, item])], initialValue)
-    .filter(c => c.length >= minLength)
-}
 
 /**
  * Gets the property name of the given `Property` node.
@@ -98,57 +129,194 @@ function getPropertyName(node) {
 }
 
 /**
- * test blank lines
+ * Check if a default value or computed key in a destructuring pattern refers to a name bound earlier in the same
+ * pattern, such as `{ a, b = a }`. Reordering the properties of such a pattern would change its meaning.
  * @param {import('eslint').Rule.RuleContext} context context
- * @param {import('eslint').Rule.Node} node node
- * @param {import('eslint').Rule.Node} prevNode prevNode
- * @returns {boolean} if there is a blank line between the prevNode and current node
+ * @param {import('estree').ObjectPattern} node pattern node
+ * @returns {boolean} if any default or computed key depends on a binding of the pattern
  */
-function hasBlankLineBetweenNodes(context, node, prevNode) {
+function hasDependentDefaults(context, node) {
   const sourceCode = context.getSourceCode()
+  const bound = new Set()
+  const referenced = []
 
-  // Get tokens between current node and previous node
-  const tokens = prevNode && sourceCode.getTokensBetween(prevNode, node, { includeComments: true })
+  for (const property of node.properties) {
+    if (property.type !== 'Property') {
+      continue
+    }
+    const value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value
 
-  if (!tokens) {
-    return false
+    for (const token of sourceCode.getTokens(value)) {
+      if (token.type === 'Identifier') {
+        bound.add(token.value)
+      }
+    }
+    if (property.computed) {
+      referenced.push(...sourceCode.getTokens(property.key))
+    }
+    if (property.value.type === 'AssignmentPattern') {
+      referenced.push(...sourceCode.getTokens(property.value.right))
+    }
   }
-  let previousToken
 
-  // check blank line between tokens
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i]
+  return referenced.some(token => token.type === 'Identifier' && bound.has(token.value))
+}
 
-    if (previousToken && token.loc.start.line - previousToken.loc.end.line > 1) {
-      return true
-    }
-    previousToken = token
+/**
+ * Gets the kind of value of a property, for matching groups
+ * @param {any} node The `Property` node.
+ * @returns {ValueKind} value kind
+ */
+function getValueKind(node) {
+  if (node.kind === 'get') {
+    return 'getter'
+  }
+  if (node.kind === 'set') {
+    return 'setter'
   }
+  if (node.method) {
+    return 'method'
+  }
+  switch (node.value.type) {
+    case 'FunctionExpression':
+      return 'function'
+    case 'ArrowFunctionExpression':
+      return 'arrow'
+    case 'ObjectExpression':
+    case 'JSONObjectExpression':
+      return 'object'
+    case 'ArrayExpression':
+    case 'JSONArrayExpression':
+      return 'array'
+    case 'Literal':
+    case 'JSONLiteral':
+    case 'TemplateLiteral':
+    case 'JSONTemplateLiteral':
+      return 'literal'
+    default:
+      return 'other'
+  }
+}
 
-  // check blank line between the current node and the last token
-  if (node.loc.start.line - tokens[tokens.length - 1].loc.end.line > 1) {
-    return true
+/**
+ * Gets the value of a property if it is a static string
+ * @param {any} node The `Property` node.
+ * @returns {string|null} The string value or null.
+ */
+function getStringValue(node) {
+  const value = node.value
+
+  if (node.kind !== 'init' || node.method || !value) {
+    return null
+  }
+  if ((value.type === 'Literal' || value.type === 'JSONLiteral') && typeof value.value !== 'string') {
+    return null
   }
+  return astUtils.getStaticStringValue(value)
+}
 
-  // check blank line between the first token and the previous node
-  if (tokens[0].loc.start.line - prevNode.loc.end.line > 1) {
+/**
+ * Create a predicate which checks if a property belongs to a group
+ * @param {Group} group group definition
+ * @returns {(item: SortItem) => boolean} predicate
+ */
+function createGroupMatcher(group) {
+  const matchesKey = typeof group.key === 'string' ? createNameMatcher(group.key) : null
+  const valueKinds = group.value ? [].concat(group.value) : null
+
+  return ({ node, name }) =>
+    (!matchesKey || matchesKey(name)) &&
+    (!valueKinds || valueKinds.includes(getValueKind(node))) &&
+    (typeof group.computed !== 'boolean' || Boolean(node.computed) === group.computed) &&
+    (typeof group.shorthand !== 'boolean' || Boolean(node.shorthand) === group.shorthand) &&
+    (typeof group.quoted !== 'boolean' || (!node.computed && typeof node.key.value === 'string') === group.quoted) &&
+    (typeof group.allCaps !== 'boolean' || (name === name.toUpperCase()) === group.allCaps)
+}
+
+/** Expressions which may have side effects, so that reordering them could change the behavior of the code */
+const sideEffectTypes = new Set([
+  'AssignmentExpression',
+  'AwaitExpression',
+  'CallExpression',
+  'ImportExpression',
+  'NewExpression',
+  'TaggedTemplateExpression',
+  'UpdateExpression',
+  'YieldExpression',
+])
+
+/**
+ * Check if an expression may have side effects when it is evaluated. Functions are not run when they are defined, so
+ * their bodies are not searched.
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {any} node AST Node
+ * @returns {boolean} if the expression may have side effects
+ */
+function hasSideEffects(sourceCode, node) {
+  if (sideEffectTypes.has(node.type)) {
     return true
   }
-  return false
+  if (
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionExpression' ||
+    node.type === 'ClassExpression'
+  ) {
+    return false
+  }
+  return (sourceCode.visitorKeys[node.type] || []).some(key =>
+    [].concat(node[key]).some(child => child && typeof child.type === 'string' && hasSideEffects(sourceCode, child)),
+  )
 }
 
 /**
- * Function to check that 2 names are proper all caps order
- * @param {string} a first value
- * @param {string} b second value
- * @returns {boolean | null} if the values are in valid order; null if both are all caps or both not all caps
- * @private
+ * Find why sorting the properties of an object could change the behavior of the code, if it could: a duplicate key,
+ * where the last one wins, a getter or setter, `__proto__`, or a value with side effects. Properties without a name are
+ * never moved, so their keys and values are not searched.
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {any} node object node
+ * @returns {string | null} description of the hazard, or null if sorting is safe
  */
-function isValidAllCapsTest(a, b) {
-  const aIsAllCaps = a === a.toUpperCase()
-  const bIsAllCaps = b === b.toUpperCase()
+function getReorderHazard(sourceCode, node) {
+  const names = new Set()
+
+  for (const property of node.properties) {
+    if (property.type !== 'Property') {
+      continue
+    }
 
-  return aIsAllCaps === bIsAllCaps ? null : aIsAllCaps && !bIsAllCaps
+    const staticName = astUtils.getStaticPropertyName(property)
+    const name = getPropertyName(property)
+
+    if (staticName !== null && names.has(staticName)) {
+      return `'${staticName}' is a duplicate key`
+    }
+    names.add(staticName)
+    if (name === null) {
+      continue
+    }
+    if (staticName === null) {
+      return `the computed key [${name}] may equal another key`
+    }
+    if (property.kind === 'get' || property.kind === 'set') {
+      return `'${name}' is a ${property.kind}ter`
+    }
+    if (staticName === '__proto__' && !property.computed && !property.shorthand && !property.method) {
+      return "'__proto__' sets the prototype"
+    }
+    if (hasSideEffects(sourceCode, property.value)) {
+      return `the value of '${name}' may have side effects`
+    }
+  }
+  return null
+}
+
+/**
+ * Check if a member of an object is a spread element
+ * @param {ASTNode} node member node
+ * @returns {boolean} if the member is a spread element
+ */
+function isSpread(node) {
+  return node.type === 'SpreadElement' || node.type === 'ExperimentalSpreadProperty'
 }
 
 /**
@@ -163,146 +331,157 @@ function isValidShorthandTest(a, b) {
 }
 
 /**
- * reverse order function
- * @template T
- * @param {IsValidOrder<T>} isValidOrder order function
- * @returns {IsValidOrder<T>} reversed order function
+ * Gets the names of the keys of an object in the order the fixer would put them, for messages
+ * @param {ASTNode[]} properties properties of the object
+ * @param {SortItem[][]} groups groups of properties which are sorted
+ * @param {(a: SortItem, b: SortItem) => number} compare sort comparator
+ * @returns {string} quoted names, as in `'a', 'b', 'c'`
  */
-const reverseOrder = isValidOrder => (a, b) => isValidOrder(b, a) // eslint-disable-line func-style
+function getExpectedOrder(properties, groups, compare) {
+  /** @type {Map<ASTNode, string>} */
+  const sortedNames = new Map()
 
-const returnNull = () => null // eslint-disable-line func-style
+  for (const group of groups) {
+    const sorted = group.slice().sort(compare)
 
-/**
- * transform test
- * @template T
- * @param {'ignore' | 'first' | 'last'} option Option value
- * @param {IsValidOrder<T>} isValidOrder base test
- * @returns {IsValidOrder<T>} new test
- */
-function firstLastTest(option, isValidOrder) {
-  switch (option) {
-    case 'first':
-      return isValidOrder
-    case 'last':
-      return reverseOrder(isValidOrder)
-    default:
-      return returnNull
+    group.forEach((item, i) => sortedNames.set(item.node, sorted[i].name))
   }
+  return properties
+    .map(property => (sortedNames.has(property) ? sortedNames.get(property) : getPropertyName(property)))
+    .filter(name => name !== null)
+    .map(name => `'${name}'`)
+    .join(', ')
 }
 
-/**
- * Functions which check that the given 2 names are in specific order.
- *
- * Postfix `I` is meant insensitive.
- * Postfix `N` is meant natural.
- * @type {Record<`${'asc'|'desc'}${''|'I'}${''|'N'}`, IsValidOrder>}
- * @private
- */
-// @ts-ignore
-const isValidOrders = {
-  asc(a, b) {
-    return a <= b
-  },
-  ascI(a, b) {
-    return a.toLowerCase() <= b.toLowerCase()
-  },
-  ascN(a, b) {
-    return naturalCompare(a, b) <= 0
-  },
-  ascIN(a, b) {
-    return naturalCompare(a.toLowerCase(), b.toLowerCase()) <= 0
-  },
-}
+/** Types of the nodes which are checked as objects */
+const objectTypes = new Set(['ObjectExpression', 'ObjectPattern', 'JSONObjectExpression'])
 
-Object.keys(isValidOrders).forEach(asc => {
-  const desc = `desc${asc.slice(3)}`
+const directivePrefix = /^\s*sort-keys-plus(?:\s|$)/u
 
-  isValidOrders[desc] = Object.defineProperty(reverseOrder(isValidOrders[asc]), 'name', { value: desc })
-})
+const directiveOptions = ['ignore', 'asc', 'desc', 'natural', 'insensitive']
 
 /**
- * Customize
- * @param {string[]} order custom order of properties
- * @returns {IsValidOrder} comparator
+ * Create the test for the comments which start a section of an object, which is sorted on its own
+ * @param {boolean | string | undefined} option `allowCommentSeparatedGroups` option: `true` for any comment, or a
+ * regular expression which the text of the comment must match
+ * @returns {((comment: import('estree').Comment) => boolean) | null} test, or null if comments start no sections
  */
-function validCustomOrderComparator(order) {
-  return (a, b) => {
-    const aIndex = order.indexOf(a)
-    const bIndex = order.indexOf(b)
-
-    if (aIndex >= 0) {
-      if (bIndex >= 0) {
-        return aIndex <= bIndex
-      }
-      return true
+function createSectionCommentTest(option) {
+  if (!option) {
+    return null
+  }
+
+  let pattern = null
+
+  if (typeof option === 'string') {
+    try {
+      pattern = new RegExp(option, 'u')
+    } catch (error) {
+      throw new Error(`Invalid options: "allowCommentSeparatedGroups": ${error.message}`)
     }
-    return bIndex < 0 && null
   }
+
+  // A directive comment configures the object after it, rather than starting a section
+  return comment => !directivePrefix.test(comment.value) && (!pattern || pattern.test(comment.value.trim()))
 }
 
 /**
- * create fixer
- * @param {import('eslint').Rule.RuleContext} context context
- * @param {import('eslint').Rule.Node} node node
- * @param {import('eslint').Rule.Node} prevNode prevNode
- * @returns {import('eslint').Rule.ReportFixer} fixer
+ * Parses a directive comment, such as `/* sort-keys-plus order: id, name, ... *\/`. It has the words `ignore`, `asc`,
+ * `desc`, `natural` and `insensitive`, followed by `order:` and the custom order as a comma separated list.
+ * @param {import('estree').Comment} comment comment
+ * @returns {Directive | string | null} the directive, what is wrong with it, or null if the comment is no directive
  */
-function createFixer(context, node, prevNode) {
-  return function fix(fixer) {
-    const fixes = []
-    const sourceCode = context.getSourceCode()
+function parseDirective(comment) {
+  const prefix = directivePrefix.exec(comment.value)
 
-    /**
-     * Move Property
-     * @param {import('eslint').Rule.Node} fromNode From Node
-     * @param {import('eslint').Rule.Node} toNode To Node
-     * @returns {void}
-     */
-    function moveProperty(fromNode, toNode) {
-      const prevText = sourceCode.getText(fromNode)
-      const thisComments = sourceCode.getCommentsBefore(fromNode)
+  if (!prefix) {
+    return null
+  }
 
-      for (const thisComment of thisComments) {
-        fixes.push(fixer.insertTextBefore(toNode, `${sourceCode.getText(thisComment)}\n`))
-        fixes.push(fixer.remove(thisComment))
-      }
-      fixes.push(fixer.replaceText(toNode, prevText))
+  const text = comment.value.slice(prefix[0].length)
+  // The value of a comment starts after its `//` or `/*`
+  const textStart = comment.range[0] + 2 + prefix[0].length
+  const orderStart = text.indexOf('order:')
+  const words = (orderStart === -1 ? text : text.slice(0, orderStart)).split(/\s+/u).filter(Boolean)
+  const list = orderStart === -1 ? null : text.slice(orderStart + 'order:'.length).trim()
+  const order =
+    list === null
+      ? null
+      : list
+          .split(',')
+          .map(entry => entry.trim())
+          .filter(Boolean)
+  const unknown = words.find(word => !directiveOptions.includes(word))
+
+  if (typeof unknown === 'string') {
+    return `unknown option "${unknown}"`
+  }
+  if (words.length === 0 && !order) {
+    return `expected ${directiveOptions.map(word => `"${word}"`).join(', ')} or "order:"`
+  }
+  if (words.includes('ignore') && (words.length > 1 || order)) {
+    return '"ignore" cannot be combined with other options'
+  }
+  if (words.includes('asc') && words.includes('desc')) {
+    return '"asc" and "desc" conflict'
+  }
+  if (order) {
+    const duplicate = order.find((entry, i) => order.indexOf(entry) !== i)
+
+    if (order.length === 0) {
+      return '"order:" needs a comma separated list of keys'
+    }
+    if (typeof duplicate === 'string') {
+      return `"order:" lists "${duplicate}" more than once`
     }
+    try {
+      validCustomOrderComparator(order)
+    } catch (error) {
+      return error.message
+    }
+  }
 
-    moveProperty(node, prevNode)
-    moveProperty(prevNode, node)
-    return fixes
+  /** @type {Directive['direction']} */
+  let direction = null
+
+  if (words.includes('asc')) {
+    direction = 'asc'
+  } else if (words.includes('desc')) {
+    direction = 'desc'
+  }
+
+  return {
+    override: words.includes('ignore') || order ? { ignore: words.includes('ignore'), order } : null,
+    direction,
+    natural: words.includes('natural'),
+    insensitive: words.includes('insensitive'),
+    orderRange: order ? [textStart + text.trimEnd().length - list.length, textStart + text.trimEnd().length] : null,
   }
 }
 
 /**
- * create report
- * @param {import('eslint').Rule.RuleContext} context context
- * @param {import('estree').Property} node node
- * @param {import('estree').Property} prevNode previous node
- * @param {boolean} fixable create fixer
- * @param {string} messageId message id
- * @param {{thisName: string, prevName: string, overrideMessage?: string, [key: string]: any}} data message data
- * @returns {void}
+ * Overrides of `sort-keys` can also check which keys an object has.
  */
-function createReport(context, node, prevNode, fixable, messageId, data) {
-  const reportMessage = data.overrideMessage
-    ? { message: `${data.overrideMessage} '{{thisName}}' should be before '{{prevName}}'.` }
-    : { messageId }
-  /** @type {import('eslint').Rule.ReportDescriptor} */
-  const report = {
-    node,
-    loc: node.key.loc,
-    ...reportMessage,
-    data,
-  }
-
-  if (fixable) {
-    report.fix = createFixer(context, node, prevNode)
-  }
-  context.report(report)
+const overridesSchema = {
+  ...baseOptionsSchema.overrides,
+  items: {
+    ...baseOptionsSchema.overrides.items,
+    properties: {
+      ...baseOptionsSchema.overrides.items.properties,
+      unknownKeys: { enum: ['allow', 'error'] },
+      requiredKeys: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string' },
+      },
+    },
+  },
 }
 
+/** @type {ValueKind[]} */
+const valueKinds = ['function', 'arrow', 'method', 'getter', 'setter', 'object', 'array', 'literal', 'other']
+
 // ------------------------------------------------------------------------------
 // Rule Definition
 // ------------------------------------------------------------------------------
@@ -312,10 +491,11 @@ module.exports = {
   meta: {
     type: 'suggestion',
     fixable: 'code',
+    hasSuggestions: true,
     docs: {
       description: 'require object keys to be sorted',
       category: 'Stylistic Issues',
-      recommended: false,
+      recommended: true,
       url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#rule-configuration',
     },
 
@@ -326,76 +506,55 @@ module.exports = {
       {
         type: 'object',
         properties: {
-          caseSensitive: {
-            type: 'boolean',
-            default: true,
-          },
-          natural: {
+          ...baseOptionsSchema,
+          overrides: overridesSchema,
+          shorthand: firstLastSchema,
+          patterns: {
             type: 'boolean',
             default: false,
           },
-          minKeys: {
-            type: 'integer',
-            minimum: 2,
-            default: 2,
-          },
-          allowLineSeparatedGroups: {
-            type: 'boolean',
+          allowCommentSeparatedGroups: {
+            anyOf: [{ type: 'boolean' }, { type: 'string', minLength: 1 }],
             default: false,
           },
-          ignoreSingleLine: {
+          suggestions: {
             type: 'boolean',
             default: false,
           },
-          allCaps: {
-            enum: ['first', 'last', 'ignore'],
-            default: 'ignore',
+          report: {
+            enum: ['pair', 'object'],
+            default: 'pair',
           },
-          shorthand: {
-            enum: ['first', 'last', 'ignore'],
-            default: 'ignore',
+          spreadBehavior: {
+            enum: ['barrier', 'ignore-override-semantics'],
+            default: 'barrier',
           },
-          overrides: {
+          strategy: {
+            enum: ['alphabetical', 'line-length', 'value', 'none'],
+            default: 'alphabetical',
+          },
+          groups: {
             type: 'array',
             items: {
-              type: 'object',
-              properties: {
-                message: { type: 'string' },
-                esquery: {
-                  $anyOf: [
-                    { type: 'string', minLength: 1 },
-                    { type: 'array', items: { type: 'string' }, minItems: 1 },
-                  ],
-                },
-                order: {
-                  type: 'array',
-                  minItems: 1,
-                  items: {
-                    type: 'string',
-                  },
-                },
-                properties: {
-                  type: 'array',
-                  minItems: 1,
-                  items: { type: 'string' },
-                },
-                sort: {
+              anyOf: [
+                { enum: ['...'] },
+                {
+                  type: 'object',
                   properties: {
-                    ignore: {
-                      type: 'boolean',
+                    name: { type: 'string' },
+                    key: { type: 'string', minLength: 1 },
+                    value: {
+                      anyOf: [
+                        { enum: valueKinds },
+                        { type: 'array', items: { enum: valueKinds }, minItems: 1, uniqueItems: true },
+                      ],
                     },
+                    computed: { type: 'boolean' },
+                    shorthand: { type: 'boolean' },
+                    quoted: { type: 'boolean' },
+                    allCaps: { type: 'boolean' },
                   },
-                },
-              },
-              $anyOf: [
-                {
-                  required: ['order'],
-                },
-                {
-                  required: ['properties', 'ignore'],
-                },
-                {
-                  required: ['esquery', 'ignore'],
+                  additionalProperties: false,
                 },
               ],
             },
@@ -409,66 +568,296 @@ module.exports = {
     messages: {
       sortKeys:
         "Expected object keys to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortKeysLineLength:
+        "Expected object keys to be in {{order}}ending order of line length. '{{thisName}}' should be before '{{prevName}}'.",
+      sortKeysValue:
+        "Expected object keys to be in {{natural}}{{insensitive}}{{order}}ending order of their values. '{{thisName}}' should be before '{{prevName}}'.",
+      sortKeysObject: 'Expected object keys to be in the order {{expected}}.',
+      sortKeysSuggestSort: 'Sort the keys of this object.',
+      sortKeysSuggestMove: "Move '{{thisName}}' before '{{prevName}}'.",
+      sortKeysSuggestAddToOrder: "Add '{{name}}' to the order of the sort-keys-plus comment.",
+      sortKeysUnsafe: 'Sort the keys of this object. This may change the behavior of the code, as {{hazard}}.',
+      sortKeysGroup:
+        "Expected {{thisGroup}} to be before {{prevGroup}}. '{{thisName}}' should be before '{{prevName}}'.",
       sortKeysAllCaps:
         "Expected all caps object keys to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
       sortKeysOverride:
-        "Expected {{parentName}} object keys to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+        "Expected {{parentName}}object keys to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
       sortKeysShorthand:
         "Expected shorthand properties to be {{shorthand}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortKeysUnknownKey: "Unexpected {{parentName}}object key '{{name}}', which is not in the custom order.",
+      sortKeysMissingKey: "Expected {{parentName}}object to have the key '{{name}}'.",
+      sortKeysInvalidDirective: 'Invalid sort-keys-plus comment: {{reason}}.',
     },
   },
 
   create(context) {
+    const sourceCode = context.getSourceCode()
+
     // Parse options.
     /** @type {'asc' | 'desc'} */
     const order = context.options[0] || 'asc'
     /** @type {Options | undefined} */
     const options = context.options[1]
-    const insensitive = options && options.caseSensitive === false
-    const natural = options && options.natural
     const minKeys = (options && options.minKeys) || 2
     const allowLineSeparatedGroups = (options && options.allowLineSeparatedGroups) || false
+    const isSectionComment = createSectionCommentTest(options && options.allowCommentSeparatedGroups)
     const ignoreSingleLine = (options && options.ignoreSingleLine) || false
     const allCaps = (options && options.allCaps) || 'ignore'
     const shorthand = (options && options.shorthand) || 'ignore'
+    const patterns = (options && options.patterns) || false
+    const groups = (options && options.groups) || []
+    const strategy = (options && options.strategy) || 'alphabetical'
+    const spreadBehavior = (options && options.spreadBehavior) || 'barrier'
+    const suggestions = (options && options.suggestions) || false
+    const reportMode = (options && options.report) || 'pair'
     /** @type {Override[]} */
     const overrides = (options && options.overrides) || []
-    /** @type {Map<string | undefined, Override>} */
-    const propOverrides = new Map(
-      overrides.flatMap(item => (item.properties ? item.properties.map(property => [property, item]) : [])),
-    )
-    const esqueryOverrides = overrides
-      .filter(item => item.esquery)
-      .map(item => ({
-        ...item,
-        esquery:
-          typeof item.esquery === 'string'
-            ? esquery.parse(item.esquery)
-            : { type: 'matches', selectors: item.esquery.map(selector => esquery.parse(selector)) },
-      }))
-
-    /** @type {Map<string, Override>} */
-    const otherOverrides = new Map()
-
-    overrides.forEach(override => {
-      if (override.esquery || override.properties) {
-        return
+    const findOverride = createOverrideFinder(overrides, minKeys)
+    const isValidOrderAllCaps = firstLastTest(allCaps, isValidAllCapsTest)
+    const isValidOrderShorthand = firstLastTest(shorthand, isValidShorthandTest)
+    /** @type {Map<Override, (name: string) => boolean>} */
+    const orderMatchers = new Map()
+    const groupMatchers = groups.map(group => (group === '...' ? null : createGroupMatcher(group)))
+    const restGroupRank = groups.includes('...') ? groups.indexOf('...') : groups.length
+
+    /**
+     * Gets the position of the group of a property
+     * @param {SortItem} item property
+     * @returns {number} group rank
+     */
+    function getGroupRank(item) {
+      const rank = groupMatchers.findIndex(matches => matches && matches(item))
+
+      return rank >= 0 ? rank : restGroupRank
+    }
+
+    /**
+     * Gets the name of a group for messages
+     * @param {number} rank group rank
+     * @returns {string} group name
+     */
+    function getGroupName(rank) {
+      if (rank === restGroupRank) {
+        return 'other properties'
+      }
+      return groups[rank].name || `group ${rank + 1}`
+    }
+
+    /**
+     * Create the checks of the sorting strategy
+     * @param {'asc' | 'desc'} direction sort direction
+     * @param {Options} sortOptions options of the alphabetical order, such as `natural`
+     * @returns {OrderCheck[]} checks
+     */
+    function createStrategyChecks(direction, sortOptions) {
+      const isValidOrderAlpha = createAlphabeticalOrder(direction, sortOptions)
+      const orderData = {
+        order: direction,
+        insensitive: sortOptions.caseSensitive === false ? 'insensitive ' : '',
+        natural: sortOptions.natural ? 'natural ' : '',
+      }
+
+      /**
+       * Checks for each sorting strategy
+       * @type {Record<typeof strategy, OrderCheck[]>}
+       */
+      const strategyChecks = {
+        alphabetical: [{ test: (a, b) => isValidOrderAlpha(a.name, b.name), messageId: 'sortKeys', data: orderData }],
+        'line-length': [
+          {
+            test: (a, b) => {
+              const aLength = sourceCode.getText(a.node).length
+              const bLength = sourceCode.getText(b.node).length
+
+              if (aLength === bLength) {
+                return null
+              }
+              return direction === 'asc' ? aLength < bLength : aLength > bLength
+            },
+            messageId: 'sortKeysLineLength',
+            data: { order: direction },
+          },
+        ],
+        value: [
+          {
+            // Properties without a string value go last.
+            test: (a, b) => {
+              const aValue = getStringValue(a.node)
+              const bValue = getStringValue(b.node)
+
+              if (aValue === null || bValue === null) {
+                return aValue === bValue ? null : bValue === null
+              }
+              return aValue === bValue ? null : isValidOrderAlpha(aValue, bValue)
+            },
+            messageId: 'sortKeysValue',
+            data: orderData,
+          },
+        ],
+        none: [],
+      }
+
+      return strategyChecks[strategy]
+    }
+
+    /**
+     * Checks which come before the sorting strategy: groups, then all caps, then shorthand.
+     * @type {OrderCheck[]}
+     */
+    const precedingChecks = [
+      ...(groups.length > 0
+        ? [
+            {
+              test: (a, b) => {
+                const aRank = getGroupRank(a)
+                const bRank = getGroupRank(b)
+
+                return aRank === bRank ? null : aRank < bRank
+              },
+              messageId: 'sortKeysGroup',
+              getData: (prev, item) => ({
+                prevGroup: getGroupName(getGroupRank(prev)),
+                thisGroup: getGroupName(getGroupRank(item)),
+              }),
+            },
+          ]
+        : []),
+      { test: (a, b) => isValidOrderAllCaps(a.name, b.name), messageId: 'sortKeysAllCaps', data: { allCaps } },
+      { test: (a, b) => isValidOrderShorthand(a.node, b.node), messageId: 'sortKeysShorthand', data: { shorthand } },
+    ]
+
+    /**
+     * Checks shared by every object without a directive comment which changes the sorting
+     * @type {OrderCheck[]}
+     */
+    const baseChecks = [...precedingChecks, ...createStrategyChecks(order, options || {})]
+    /**
+     * Checks of the objects whose directive comment changes the sorting, by the sorting they use
+     * @type {Map<string, OrderCheck[]>}
+     */
+    const directiveChecks = new Map()
+
+    /**
+     * Gets the checks shared by every object with a directive comment
+     * @param {Directive} directive directive comment
+     * @returns {OrderCheck[]} checks
+     */
+    function getDirectiveChecks(directive) {
+      if (!directive.direction && !directive.natural && !directive.insensitive) {
+        return baseChecks
       }
 
-      const sorted = override.order.concat().sort()
+      const direction = directive.direction || order
+      const key = `${direction} ${directive.natural} ${directive.insensitive}`
 
-      combination(sorted, minKeys).forEach(combo => {
-        const key = combo.join()
-        const existing = otherOverrides.get(key)
+      if (!directiveChecks.has(key)) {
+        const sortOptions = { ...options }
 
-        if (!existing || override.order.length < existing.order.length) {
-          otherOverrides.set(key, override)
+        if (directive.natural) {
+          sortOptions.natural = true
         }
-      })
-    })
-    const isValidOrderAlpha = isValidOrders[`${order}${insensitive ? 'I' : ''}${natural ? 'N' : ''}`]
-    const isValidOrderAllCaps = firstLastTest(allCaps, isValidAllCapsTest)
-    const isValidOrderShorthand = firstLastTest(shorthand, isValidShorthandTest)
+        if (directive.insensitive) {
+          sortOptions.caseSensitive = false
+        }
+        directiveChecks.set(key, [...precedingChecks, ...createStrategyChecks(direction, sortOptions)])
+      }
+      return directiveChecks.get(key)
+    }
+
+    /**
+     * First token of each line which starts an object, with the token before it, since a long line, as in minified
+     * JSON, may start thousands of objects
+     * @type {Map<number, {lineStart: import('eslint').AST.Token, before: import('eslint').AST.Token | null}>}
+     */
+    const lineStarts = new Map()
+
+    /**
+     * Gets the first token of the line an object starts on
+     * @param {ASTNode} node AST Node
+     * @returns {{lineStart: import('eslint').AST.Token, before: import('eslint').AST.Token | null}} first token, and the
+     * token before it on an earlier line
+     */
+    function getLineStart(node) {
+      const line = node.loc.start.line
+
+      if (!lineStarts.has(line)) {
+        let lineStart = sourceCode.getFirstToken(node)
+        let before = sourceCode.getTokenBefore(lineStart)
+
+        while (before && before.loc.start.line === line) {
+          lineStart = before
+          before = sourceCode.getTokenBefore(lineStart)
+        }
+        lineStarts.set(line, { lineStart, before })
+      }
+      return lineStarts.get(line)
+    }
+
+    /**
+     * Gets the comments which may configure an object: the comments just before it, and the comments on the lines
+     * above the line it starts on, unless an enclosing object starts on the same line.
+     * @param {ASTNode} node AST Node
+     * @returns {import('estree').Comment[]} comments, the closest last
+     */
+    function getDirectiveComments(node) {
+      const line = node.loc.start.line
+      const comments = sourceCode.getCommentsBefore(node)
+
+      for (let ancestor = node.parent; ancestor && ancestor.loc.start.line === line; ancestor = ancestor.parent) {
+        if (objectTypes.has(ancestor.type)) {
+          return comments
+        }
+      }
+
+      const { lineStart, before } = getLineStart(node)
+
+      if (lineStart.range[0] === node.range[0]) {
+        return comments
+      }
+      // A comment after code on the line above belongs to that code
+      return [
+        ...sourceCode
+          .getCommentsBefore(lineStart)
+          .filter(comment => !before || before.loc.end.line < comment.loc.start.line),
+        ...comments,
+      ]
+    }
+
+    /**
+     * Invalid directive comments which have been reported, since a comment above a line applies to every object on it
+     * @type {Set<import('estree').Comment>}
+     */
+    const reportedDirectives = new Set()
+
+    /**
+     * Gets the directive comment of an object, and reports it once if it is invalid
+     * @param {ASTNode} node AST Node
+     * @returns {Directive | null} directive, or null if the object has no valid directive
+     */
+    function getDirective(node) {
+      const comments = getDirectiveComments(node)
+
+      for (let i = comments.length - 1; i >= 0; i--) {
+        const directive = parseDirective(comments[i])
+
+        if (typeof directive === 'string') {
+          if (!reportedDirectives.has(comments[i])) {
+            reportedDirectives.add(comments[i])
+            context.report({
+              loc: comments[i].loc,
+              messageId: 'sortKeysInvalidDirective',
+              data: { reason: directive },
+            })
+          }
+          return null
+        }
+        if (directive) {
+          return directive
+        }
+      }
+      return null
+    }
 
     /**
      * The stack to save the previous property's name for each object literals.
@@ -482,152 +871,333 @@ module.exports = {
      * @returns {void}
      */
     function SpreadElement(node) {
-      if (node.parent.type === 'ObjectExpression') {
+      if (node.parent.type === 'ObjectExpression' && stack.spreadsAreBarriers) {
         stack.prevNode = null
         stack.prevName = null
         stack.prevNameSkipped = false
       }
     }
 
-    return {
-      ExperimentalSpreadProperty: SpreadElement,
-
-      ObjectExpression(node) {
-        /** @type {ASTNode} */
-        const parent = node.parent
-        let parentName
-        let override
-
-        if (parent.type === 'Property' && !parent.computed) {
-          /** @type {ASTPropKeyNode} */
-          const parentKey = parent.key
+    /**
+     * Reports the keys of an object which are not in the `order` of its override when `unknownKeys` is `error`, and
+     * the `requiredKeys` which it lacks. Keys may come from spreads and computed keys, so missing keys are only
+     * reported for objects without them.
+     * @param {import('estree').ObjectExpression} node AST Node
+     * @param {Override} override override of the object
+     * @param {string | undefined} parentName name of the parent property
+     * @returns {void}
+     */
+    function checkKeys(node, override, parentName) {
+      const data = { parentName: parentName ? `${parentName} ` : '' }
+      /** @type {Set<string>} */
+      const staticNames = new Set()
+      let hasDynamicKeys = false
+
+      if (!orderMatchers.has(override)) {
+        orderMatchers.set(override, createOrderMatcher(override.order))
+      }
 
-          parentName = typeof parentKey.value === 'string' ? parentKey.value : parentKey.name
-          override = propOverrides.get(parentName)
-        }
-        if (!override) {
-          /** @type {ASTNode[]} */
-          const ancestry = [];
-          let ancestor = parent;
-
-          while (ancestor) {
-            ancestry.push(ancestor);
-            ancestor = ancestor.parent;
+      const isListed = orderMatchers.get(override)
+
+      for (const property of node.properties) {
+        const name = astUtils.getStaticPropertyName(property)
+
+        if (name === null) {
+          hasDynamicKeys = true
+        } else {
+          staticNames.add(name)
+          if (override.unknownKeys === 'error' && !isListed(name)) {
+            context.report({
+              node: property,
+              loc: property.key.loc,
+              messageId: 'sortKeysUnknownKey',
+              data: { ...data, name },
+            })
           }
-          override = esqueryOverrides.find(candidate => esquery.matches(node, candidate.esquery, ancestry))
         }
-        if (!override && otherOverrides.size > 0) {
-          const key = node.properties
-            .map(getPropertyName)
-            .filter(name => name !== null)
-            .sort()
-            .join()
-
-          override = otherOverrides.get(key)
+      }
+      if (override.requiredKeys && !hasDynamicKeys) {
+        for (const name of override.requiredKeys.filter(key => !staticNames.has(key))) {
+          context.report({
+            node,
+            loc: sourceCode.getFirstToken(node).loc,
+            messageId: 'sortKeysMissingKey',
+            data: { ...data, name },
+          })
         }
+      }
+    }
 
-        stack = {
-          upper: stack,
-          ignore: (stack && stack.ignore) || (ignoreSingleLine && node.loc.start.line === node.loc.end.line),
-          prevNode: null,
-          prevBlankLine: false,
-          prevName: null,
-          prevNameSkipped: false,
-          numKeys: node.properties.length,
-          parentName,
-          override,
-          isValidOrderOverride: override && validCustomOrderComparator(override.order),
-        }
-      },
+    /**
+     * Object expression, pattern, or JSON object parser
+     * @param {(import('estree').ObjectExpression | import('estree').ObjectPattern) & import('eslint').Rule.NodeParentExtension} node AST Node
+     * @returns {void}
+     */
+    function ObjectExpression(node) {
+      /** @type {ASTNode} */
+      const parent = node.parent
+      let parentName
 
-      'ObjectExpression:exit'() {
-        stack = stack.upper
-      },
+      if ((parent.type === 'Property' || parent.type === 'JSONProperty') && !parent.computed) {
+        /** @type {ASTPropKeyNode} */
+        const parentKey = parent.key
 
-      SpreadElement,
+        parentName = typeof parentKey.value === 'string' ? parentKey.value : parentKey.name
+      }
 
-      Property(node) {
-        if (node.parent.type === 'ObjectPattern' || stack.ignore || (stack.override && stack.override.ignore)) {
-          return
-        }
+      const names = node.properties.map(getPropertyName).filter(name => name !== null)
+      const directive = getDirective(node)
+      // The override of a directive comment is not in the options, so it has no position to describe it
+      const found =
+        directive && directive.override
+          ? { override: directive.override, description: '' }
+          : findOverride(node, parentName, names)
+      const override = found && found.override
+      const isValidOrderOverride = override && override.order && validCustomOrderComparator(override.order)
+      const sortChecks = directive ? getDirectiveChecks(directive) : baseChecks
+      /** @type {OrderCheck[]} */
+      const checks = isValidOrderOverride
+        ? [
+            {
+              test: (a, b) => isValidOrderOverride(a.name, b.name),
+              messageId: 'sortKeysOverride',
+              data: { parentName: parentName ? `${parentName} ` : '', overrideMessage: override.message },
+            },
+            ...sortChecks,
+          ]
+        : sortChecks
+
+      stack = {
+        upper: stack,
+        ignore: (stack && stack.ignore) || (ignoreSingleLine && node.loc.start.line === node.loc.end.line),
+        prevNode: null,
+        prevName: null,
+        prevNameSkipped: false,
+        spreadsAreBarriers: spreadBehavior === 'barrier' || new Set(names).size !== names.length,
+        numKeys: node.properties.length,
+        override,
+        overrideDescription: found ? found.description : '',
+        checks,
+        fixable: node.type !== 'ObjectPattern' || !hasDependentDefaults(context, node),
+        fix: null,
+        hazard: null,
+        expected: null,
+        firstViolation: null,
+        directive,
+      }
 
-        const prevNode = stack.prevNode
-        const prevName = stack.prevName
-        const prevNameSkipped = stack.prevNameSkipped
-        const fixable = !prevNameSkipped
-        const numKeys = stack.numKeys
-        const thisName = getPropertyName(node)
-        const isBlankLineBetweenNodes =
-          stack.prevBlankLine || (allowLineSeparatedGroups && hasBlankLineBetweenNodes(context, node, prevNode))
+      if (override && (override.unknownKeys === 'error' || override.requiredKeys) && node.type !== 'ObjectPattern') {
+        checkKeys(node, override, parentName)
+      }
+    }
 
-        stack.prevNode = node
-        stack.prevNameSkipped = thisName === null
+    /**
+     * Gets the suggestions which sort the whole object
+     * @returns {import('eslint').Rule.SuggestionReportDescriptor[]} suggestions
+     */
+    function getSuggestions() {
+      if (!stack.fix) {
+        return []
+      }
+      if (stack.hazard) {
+        return [{ messageId: 'sortKeysUnsafe', data: { hazard: stack.hazard }, fix: stack.fix }]
+      }
+      return suggestions ? [{ messageId: 'sortKeysSuggestSort', fix: stack.fix }] : []
+    }
 
-        if (thisName !== null) {
-          stack.prevName = thisName
-        }
+    /**
+     * Gets the suggestions which add the key of a pair which the `order:` of the directive comment does not list to
+     * that order, next to the other key of the pair, so that the pair is in order
+     * @param {SortItem} prev previous key
+     * @param {SortItem} item key which should be before `prev`
+     * @returns {import('eslint').Rule.SuggestionReportDescriptor[]} suggestions
+     */
+    function getAddToOrderSuggestions(prev, item) {
+      const directiveOrder = stack.directive.override.order
+      const range = stack.directive.orderRange
+      const isListed = createOrderMatcher(directiveOrder)
+      const rank = createOrderRanker(directiveOrder)
+      // An unlisted key before a listed one goes just before that key in the order, and one after it just after it
+      const additions = [
+        { name: prev.name, index: rank(item.name) },
+        { name: item.name, index: rank(prev.name) + 1 },
+      ]
+
+      return additions
+        .filter(({ name }) => !isListed(name) && !name.includes(',') && getOrderNames([name]).length === 1)
+        .map(({ name, index }) => ({
+          messageId: 'sortKeysSuggestAddToOrder',
+          data: { name },
+          fix: fixer =>
+            fixer.replaceTextRange(
+              range,
+              [...directiveOrder.slice(0, index), name, ...directiveOrder.slice(index)].join(', '),
+            ),
+        }))
+    }
 
-        if (allowLineSeparatedGroups && isBlankLineBetweenNodes) {
-          stack.prevBlankLine = thisName === null
-          return
-        }
+    /**
+     * Gets the data available to the custom `message` of an override, besides the names of the keys
+     * @param {SortItem} item key out of order
+     * @returns {Record<string, string>} message data
+     */
+    function getTemplateData(item) {
+      return {
+        expected: stack.expected,
+        override: stack.overrideDescription,
+        group: groups.length > 0 ? getGroupName(getGroupRank(item)) : '',
+      }
+    }
 
-        if (prevName === null || thisName === null || numKeys < minKeys) {
-          return
+    /**
+     * Property or JSON property parser
+     * @param {import('estree').Property & import('eslint').Rule.NodeParentExtension} node AST Node
+     * @returns {void}
+     */
+    function Property(node) {
+      if (
+        (node.parent.type === 'ObjectPattern' && !patterns) ||
+        stack.ignore ||
+        (stack.override && stack.override.ignore)
+      ) {
+        return
+      }
+
+      const prevNode = stack.prevNode
+      const prevName = stack.prevName
+      const prevNameSkipped = stack.prevNameSkipped
+      const fixable = stack.fixable
+      const numKeys = stack.numKeys
+      const thisName = getPropertyName(node)
+      const isSeparated =
+        (allowLineSeparatedGroups && hasBlankLineBetweenNodes(context, node, prevNode)) ||
+        Boolean(isSectionComment && getSectionComment(sourceCode, node, isSectionComment))
+
+      stack.prevNode = node
+
+      // A property without a static name is skipped, so the properties on each side of it are still compared. It
+      // could have any key, so the fixer never moves a property across it.
+      if (thisName === null) {
+        stack.prevNameSkipped = true
+        if (isSeparated) {
+          stack.prevName = null
         }
+        return
+      }
+      stack.prevName = thisName
+      stack.prevNameSkipped = false
 
-        const isValidOverride = stack.isValidOrderOverride && stack.isValidOrderOverride(prevName, thisName)
+      if (prevName === null || numKeys < minKeys || isSeparated) {
+        return
+      }
 
-        if (isValidOverride === false) {
-          createReport(context, node, prevNode, fixable, 'sortKeysOverride', {
-            thisName,
-            prevName,
-            parentName: stack.parentName || '',
-            overrideMessage: stack.override.message,
-          })
-          return
-        }
+      const prev = { node: prevNode, name: prevName }
+      const item = { node, name: thisName }
+      const violation = getOrderViolation(stack.checks, prev, item)
 
-        if (isValidOverride) {
-          return
+      // Sorting the object leaves a pair on each side of a skipped property in place, so its expected order would not
+      // put them in order either
+      if (!violation || (reportMode === 'object' && prevNameSkipped)) {
+        return
+      }
+      if (!stack.expected) {
+        const compare = compareItems.bind(null, stack.checks)
+        const sortableGroups = getSortableGroups(
+          context,
+          node.parent.properties,
+          property =>
+            property.type === 'Property' || property.type === 'JSONProperty' ? getPropertyName(property) : null,
+          allowLineSeparatedGroups,
+          stack.spreadsAreBarriers ? null : isSpread,
+          isSectionComment,
+        )
+
+        stack.expected = getExpectedOrder(node.parent.properties, sortableGroups, compare)
+        if (fixable) {
+          stack.fix = createFixer(context, sortableGroups, compare)
+          stack.hazard = getReorderHazard(sourceCode, node.parent)
         }
+      }
+      if (reportMode === 'object') {
+        stack.firstViolation = stack.firstViolation || { violation, prev, item }
+        return
+      }
 
-        const isValidAllCaps = isValidOrderAllCaps(prevName, thisName)
+      // Sorting the object would leave a pair on each side of a skipped property in place
+      const suggest = prevNameSkipped ? [] : getSuggestions()
 
-        if (isValidAllCaps === false) {
-          createReport(context, node, prevNode, fixable, 'sortKeysAllCaps', {
-            thisName,
-            prevName,
-            allCaps,
-          })
-          return
-        }
+      // Moving a property is no safer than sorting the object, which is only a suggestion under a hazard
+      if (fixable && !prevNameSkipped && !stack.hazard && suggestions) {
+        // The section comment before the previous property stays in place
+        const section = isSectionComment && getSectionComment(sourceCode, prevNode, isSectionComment)
 
-        const isValidShorthand = isValidOrderShorthand(prevNode, node)
+        suggest.push({
+          messageId: 'sortKeysSuggestMove',
+          data: { thisName, prevName },
+          fix: createMoveFixer(context, section ? { ...prev, sectionStart: section.range[1] } : prev, item),
+        })
+      }
+      if (suggestions && violation.messageId === 'sortKeysOverride' && stack.directive && stack.directive.orderRange) {
+        suggest.push(...getAddToOrderSuggestions(prev, item))
+      }
+      context.report({
+        ...createReportDescriptor(
+          item.node,
+          fixable && !prevNameSkipped && !stack.hazard ? stack.fix : null,
+          violation.messageId,
+          getViolationData(violation, prev, item, getTemplateData(item)),
+        ),
+        suggest,
+      })
+    }
 
-        if (isValidShorthand === false) {
-          createReport(context, node, prevNode, fixable, 'sortKeysShorthand', {
-            thisName,
-            prevName,
-            shorthand,
-          })
-          return
-        }
+    /**
+     * Reports an object once, with the expected order of its keys, when `report` is `object`, then leaves it
+     * @param {import('estree').ObjectExpression & import('eslint').Rule.NodeParentExtension} node AST Node
+     * @returns {void}
+     */
+    function ObjectExpressionExit(node) {
+      const firstViolation = stack.firstViolation
 
-        if (isValidAllCaps || isValidShorthand) {
-          return
-        }
+      if (firstViolation) {
+        const { violation, prev, item } = firstViolation
+        const suggest = getSuggestions()
+        const data = getViolationData(violation, prev, item, getTemplateData(item))
 
-        if (!isValidOrderAlpha(prevName, thisName)) {
-          createReport(context, node, prevNode, fixable, 'sortKeys', {
-            thisName,
-            prevName,
-            order,
-            insensitive: insensitive ? 'insensitive ' : '',
-            natural: natural ? 'natural ' : '',
-          })
+        // A custom message is followed by the expected order in place of the names of the keys
+        if (data.overrideMessage && !hasPlaceholders(data.overrideMessage)) {
+          data.overrideMessage = `${data.overrideMessage} Expected order: {{expected}}.`
         }
-      },
+        context.report({
+          ...createReportDescriptor(node, stack.hazard ? null : stack.fix, 'sortKeysObject', data),
+          suggest,
+        })
+      }
+      stack = stack.upper
+    }
+
+    return {
+      ExperimentalSpreadProperty: SpreadElement,
+
+      ObjectExpression,
+
+      'ObjectExpression:exit': ObjectExpressionExit,
+
+      ...(patterns && {
+        ObjectPattern: ObjectExpression,
+
+        'ObjectPattern:exit': ObjectExpressionExit,
+      }),
+
+      SpreadElement,
+
+      Property,
+
+      JSONObjectExpression: ObjectExpression,
+
+      'JSONObjectExpression:exit': ObjectExpressionExit,
+
+      JSONProperty: Property,
     }
   },
 }
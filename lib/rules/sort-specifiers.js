@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Rule to require import and export specifiers to be sorted
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const {
+  baseOptionsSchema,
+  createMemberSorter,
+  firstLastSchema,
+  firstLastTest,
+  groupTest,
+} = require('./utils/sort-utils')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Option for inline `type` specifiers
+ * @typedef SpecifierOptions
+ * @property {'first' | 'last' | 'ignore'} [typeSpecifiers] Inline `type` specifier option
+ */
+/** @typedef {import('./utils/sort-utils').MemberSorterOptions & SpecifierOptions} Options */
+
+/**
+ * Gets the name of a module export, which may be a string, as in `export { a as 'b-c' }`.
+ * @param {any} node `Identifier` or `Literal` node
+ * @returns {string} name
+ */
+function getModuleExportName(node) {
+  return node.type === 'Identifier' ? node.name : String(node.value)
+}
+
+/**
+ * Gets the name a specifier is sorted by: the name before `as`, which is the imported name of an import and the local
+ * name of an export. Default and namespace imports have no name, and are never moved.
+ * @param {any} node specifier node
+ * @returns {string | null} name or null
+ */
+function getSpecifierName(node) {
+  switch (node.type) {
+    case 'ImportSpecifier':
+      return getModuleExportName(node.imported)
+    case 'ExportSpecifier':
+      return getModuleExportName(node.local)
+    default:
+      return null
+  }
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description: 'require import and export specifiers to be sorted',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#sort-specifiers',
+    },
+
+    schema: [
+      {
+        enum: ['asc', 'desc'],
+      },
+      {
+        type: 'object',
+        properties: {
+          ...baseOptionsSchema,
+          typeSpecifiers: firstLastSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+
+    messages: {
+      sortSpecifiers:
+        "Expected specifiers to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortSpecifiersAllCaps:
+        "Expected all caps specifiers to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortSpecifiersOverride:
+        "Expected {{parentName}}specifiers to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortSpecifiersType:
+        "Expected type specifiers to be {{typeSpecifiers}}. '{{thisName}}' should be before '{{prevName}}'.",
+    },
+  },
+
+  create(context) {
+    /** @type {Options} */
+    const options = context.options[1] || {}
+    const typeSpecifiers = options.typeSpecifiers || 'ignore'
+    const isValidOrderType = firstLastTest(
+      typeSpecifiers,
+      groupTest(item => item.node.importKind === 'type' || item.node.exportKind === 'type'),
+    )
+    const sortSpecifiers = createMemberSorter(context, {
+      messageIds: {
+        order: 'sortSpecifiers',
+        allCaps: 'sortSpecifiersAllCaps',
+        override: 'sortSpecifiersOverride',
+      },
+      getName: getSpecifierName,
+      checks: [{ test: isValidOrderType, messageId: 'sortSpecifiersType', data: { typeSpecifiers } }],
+      formatParentName: name => `'${name}'`,
+    })
+
+    /**
+     * Check the specifiers of an import or export declaration
+     * @param {any} node declaration node
+     * @returns {void}
+     */
+    function checkSpecifiers(node) {
+      // The `properties` of an override match the module name
+      sortSpecifiers(node, node.specifiers, node.source ? String(node.source.value) : null)
+    }
+
+    return {
+      ImportDeclaration: checkSpecifiers,
+      ExportNamedDeclaration: checkSpecifiers,
+    }
+  },
+}
@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Rule to require TypeScript union and intersection constituents to be sorted
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const { baseOptionsSchema, createMemberSorter } = require('./utils/sort-utils')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/**
+ * Gets the name used to match the `properties` of an override: the name of the type alias, or the key of the property
+ * whose type is the union or intersection.
+ * @param {any} node `TSUnionType` or `TSIntersectionType` node
+ * @returns {string | null} parent name
+ */
+function getParentName(node) {
+  const parent = node.parent
+
+  if (parent.type === 'TSTypeAliasDeclaration') {
+    return parent.id.name
+  }
+  if (
+    parent.type === 'TSTypeAnnotation' &&
+    parent.parent.type === 'TSPropertySignature' &&
+    parent.parent.key.type === 'Identifier'
+  ) {
+    return parent.parent.key.name
+  }
+  return null
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description: 'require union and intersection type constituents to be sorted',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#sort-type-constituents',
+    },
+
+    schema: [
+      {
+        enum: ['asc', 'desc'],
+      },
+      {
+        type: 'object',
+        properties: baseOptionsSchema,
+        additionalProperties: false,
+      },
+    ],
+
+    messages: {
+      sortTypeConstituents:
+        "Expected {{kind}} constituents to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortTypeConstituentsAllCaps:
+        "Expected all caps {{kind}} constituents to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortTypeConstituentsOverride:
+        "Expected {{parentName}}{{kind}} constituents to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode()
+
+    /**
+     * Gets the name a constituent is sorted by: the value of a string literal type, and the text of any other type.
+     * @param {any} node type node
+     * @returns {string} name
+     */
+    function getConstituentName(node) {
+      if (node.type === 'TSLiteralType' && typeof node.literal.value === 'string') {
+        return node.literal.value
+      }
+      return sourceCode.getText(node)
+    }
+
+    /**
+     * Check if a constituent is wrapped in parentheses, as in `(() => void)`. The parentheses are not part of the
+     * node, so the fixer would leave them behind.
+     * @param {any} node type node
+     * @returns {boolean} if the constituent is parenthesized
+     */
+    function isParenthesized(node) {
+      const before = sourceCode.getTokenBefore(node)
+      const after = sourceCode.getTokenAfter(node)
+
+      return Boolean(before && after && before.value === '(' && after.value === ')')
+    }
+
+    /**
+     * Check if the order of the constituents matters: the signatures of an intersection of function types are
+     * overloads, which are resolved in order.
+     * @param {any} node `TSUnionType` or `TSIntersectionType` node
+     * @returns {boolean} if moving the constituents could change the type
+     */
+    function hasOverloads(node) {
+      return (
+        node.type === 'TSIntersectionType' &&
+        node.types.some(
+          type =>
+            type.type === 'TSFunctionType' ||
+            type.type === 'TSConstructorType' ||
+            (type.type === 'TSTypeLiteral' &&
+              type.members.some(
+                member =>
+                  member.type === 'TSCallSignatureDeclaration' || member.type === 'TSConstructSignatureDeclaration',
+              )),
+        )
+      )
+    }
+
+    const sortConstituents = createMemberSorter(context, {
+      messageIds: {
+        order: 'sortTypeConstituents',
+        allCaps: 'sortTypeConstituentsAllCaps',
+        override: 'sortTypeConstituentsOverride',
+      },
+      getName: getConstituentName,
+      canFix: node => !hasOverloads(node) && !node.types.some(isParenthesized),
+    })
+
+    /**
+     * Check the constituents of a union or intersection
+     * @param {any} node AST Node
+     * @returns {void}
+     */
+    function checkConstituents(node) {
+      sortConstituents(node, node.types, getParentName(node), {
+        data: { kind: node.type === 'TSUnionType' ? 'union' : 'intersection' },
+      })
+    }
+
+    return {
+      TSUnionType: checkConstituents,
+      TSIntersectionType: checkConstituents,
+    }
+  },
+}
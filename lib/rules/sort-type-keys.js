@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Rule to require TypeScript interface and type literal members to be sorted
+ */
+
+'use strict'
+
+// ------------------------------------------------------------------------------
+// Requirements
+// ------------------------------------------------------------------------------
+
+const astUtils = require('./utils/ast-utils')
+const {
+  baseOptionsSchema,
+  createMemberSorter,
+  firstLastSchema,
+  firstLastTest,
+  groupTest,
+} = require('./utils/sort-utils')
+
+// ------------------------------------------------------------------------------
+// Helpers
+// ------------------------------------------------------------------------------
+
+/** @typedef {'first' | 'last' | 'ignore'} FirstLast */
+/**
+ * Options for signatures and modifiers of type members
+ * @typedef TypeKeyOptions
+ * @property {FirstLast} [callSignatures] Call signature option
+ * @property {FirstLast} [constructSignatures] Construct signature option
+ * @property {FirstLast} [indexSignatures] Index signature option
+ * @property {FirstLast} [readonly] Readonly member option
+ * @property {FirstLast} [optional] Optional member option
+ */
+/** @typedef {import('./utils/sort-utils').MemberSorterOptions & TypeKeyOptions} Options */
+
+/**
+ * Member groups which can be placed first or last, in order of precedence.
+ * @type {{option: 'callSignatures' | 'constructSignatures' | 'indexSignatures' | 'readonly' | 'optional', group: string, test: (node: any) => boolean}[]}
+ */
+const memberGroups = [
+  {
+    option: 'callSignatures',
+    group: 'call signatures',
+    test: node => node.type === 'TSCallSignatureDeclaration',
+  },
+  {
+    option: 'constructSignatures',
+    group: 'construct signatures',
+    test: node => node.type === 'TSConstructSignatureDeclaration',
+  },
+  {
+    option: 'indexSignatures',
+    group: 'index signatures',
+    test: node => node.type === 'TSIndexSignature',
+  },
+  {
+    option: 'readonly',
+    group: 'readonly members',
+    test: node => Boolean(node.readonly),
+  },
+  {
+    option: 'optional',
+    group: 'optional members',
+    test: node => Boolean(node.optional),
+  },
+]
+
+/**
+ * Gets the name of a member of an interface or type literal.
+ *
+ * Call, construct and index signatures are named after their syntax, as in `()`, `new ()` and `[key: string]`.
+ * Members with a dynamic computed key have no name.
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {any} node The member node.
+ * @returns {string|null} The member name or null.
+ */
+function getMemberName(sourceCode, node) {
+  switch (node.type) {
+    case 'TSPropertySignature':
+    case 'TSMethodSignature': {
+      const staticName = astUtils.getStaticPropertyName(node)
+
+      if (staticName !== null) {
+        return staticName
+      }
+      return (node.key.type === 'Identifier' && node.key.name) || null
+    }
+    case 'TSCallSignatureDeclaration':
+      return '()'
+    case 'TSConstructSignatureDeclaration':
+      return 'new ()'
+    case 'TSIndexSignature': {
+      const closingBracket = sourceCode.getTokenAfter(node.parameters[node.parameters.length - 1], {
+        filter: token => token.value === ']',
+      })
+
+      return sourceCode.text.slice(node.range[0], closingBracket.range[1])
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Gets the name used to match the `properties` of an override: the name of the interface or type alias, or the key
+ * of the property whose type is the type literal.
+ * @param {any} node `TSInterfaceBody` or `TSTypeLiteral` node
+ * @returns {string | null} parent name
+ */
+function getParentName(node) {
+  const parent = node.parent
+
+  if (parent.type === 'TSInterfaceDeclaration' || parent.type === 'TSTypeAliasDeclaration') {
+    return parent.id.name
+  }
+  if (parent.type === 'TSTypeAnnotation' && parent.parent.type === 'TSPropertySignature') {
+    return astUtils.getStaticPropertyName(parent.parent)
+  }
+  return null
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+/** @type {import('eslint').Rule.RuleModule} */
+module.exports = {
+  meta: {
+    type: 'suggestion',
+    fixable: 'code',
+    docs: {
+      description: 'require interface and type literal members to be sorted',
+      category: 'Stylistic Issues',
+      recommended: false,
+      url: 'https://github.com/forivall/eslint-plugin-sort-keys-plus#sort-type-keys',
+    },
+
+    schema: [
+      {
+        enum: ['asc', 'desc'],
+      },
+      {
+        type: 'object',
+        properties: {
+          ...baseOptionsSchema,
+          callSignatures: firstLastSchema,
+          constructSignatures: firstLastSchema,
+          indexSignatures: firstLastSchema,
+          readonly: firstLastSchema,
+          optional: firstLastSchema,
+        },
+        additionalProperties: false,
+      },
+    ],
+
+    messages: {
+      sortTypeKeys:
+        "Expected type keys to be in {{natural}}{{insensitive}}{{order}}ending order. '{{thisName}}' should be before '{{prevName}}'.",
+      sortTypeKeysAllCaps:
+        "Expected all caps type keys to be {{allCaps}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortTypeKeysGroup: "Expected {{group}} to be {{position}}. '{{thisName}}' should be before '{{prevName}}'.",
+      sortTypeKeysOverride:
+        "Expected {{parentName}}type keys to be in custom order. '{{thisName}}' should be before '{{prevName}}'.",
+    },
+  },
+
+  create(context) {
+    const sourceCode = context.getSourceCode()
+
+    /** @type {Options} */
+    const options = context.options[1] || {}
+
+    /**
+     * Call, construct and index signatures which are not placed first or last are never moved.
+     * @param {any} node member node
+     * @returns {string|null} name, or null when the member cannot be moved
+     */
+    function getSortableMemberName(node) {
+      const memberGroup = memberGroups.find(candidate => candidate.test(node))
+
+      if (
+        memberGroup &&
+        memberGroup.option.endsWith('Signatures') &&
+        (options[memberGroup.option] || 'ignore') === 'ignore'
+      ) {
+        return null
+      }
+      return getMemberName(sourceCode, node)
+    }
+
+    const sortMembers = createMemberSorter(context, {
+      messageIds: {
+        order: 'sortTypeKeys',
+        allCaps: 'sortTypeKeysAllCaps',
+        override: 'sortTypeKeysOverride',
+      },
+      getName: getSortableMemberName,
+      checks: memberGroups
+        .filter(({ option }) => options[option] && options[option] !== 'ignore')
+        .map(({ option, group, test }) => ({
+          test: firstLastTest(
+            options[option],
+            groupTest(item => test(item.node)),
+          ),
+          messageId: 'sortTypeKeysGroup',
+          data: { group, position: options[option] },
+        })),
+    })
+
+    return {
+      TSInterfaceBody(node) {
+        sortMembers(node, node.body, getParentName(node))
+      },
+
+      TSTypeLiteral(node) {
+        sortMembers(node, node.members, getParentName(node))
+      },
+    }
+  },
+}
@@ -32,14 +32,15 @@ function isNullLiteral(node) {
    * set `node.value` to a unicode regex. To make sure a literal is actually `null`, check
    * `node.regex` instead. Also see: https://github.com/eslint/eslint/issues/8020
    */
-  return node.type === 'Literal' && node.value === null && !node.regex && !node.bigint
+  return (node.type === 'Literal' || node.type === 'JSONLiteral') && node.value === null && !node.regex && !node.bigint
 }
 
 /**
  * Returns the result of the string conversion applied to the evaluated value of the given expression node,
  * if it can be determined statically.
  *
- * This function returns a `string` value for all `Literal` nodes and simple `TemplateLiteral` nodes only.
+ * This function returns a `string` value for all `Literal` and `JSONLiteral` nodes and simple `TemplateLiteral` nodes
+ * only.
  * In all other cases, this function returns `null`.
  * @param {ASTNode} node Expression node.
  * @returns {string|null} String value if it can be determined. Otherwise, `null`.
@@ -47,6 +48,7 @@ function isNullLiteral(node) {
 function getStaticStringValue(node) {
   switch (node.type) {
     case 'Literal':
+    case 'JSONLiteral':
       if (node.value === null) {
         if (isNullLiteral(node)) {
           return String(node.value) // "null"
@@ -77,7 +79,8 @@ function getStaticStringValue(node) {
 
 /**
  * Gets the property name of a given node.
- * The node can be a MemberExpression, a Property, or a MethodDefinition.
+ * The node can be a MemberExpression, a Property, a MethodDefinition, a TypeScript property or method signature, or a
+ * JSONProperty from `jsonc-eslint-parser`.
  *
  * If the name is dynamic, this returns `null`.
  *
@@ -115,6 +118,12 @@ function getStaticPropertyName(node) {
     case 'Property':
     case 'PropertyDefinition':
     case 'MethodDefinition':
+    case 'AccessorProperty':
+    case 'TSAbstractPropertyDefinition':
+    case 'TSAbstractMethodDefinition':
+    case 'TSPropertySignature':
+    case 'TSMethodSignature':
+    case 'JSONProperty':
       prop = node.key
       break
 
@@ -126,7 +135,7 @@ function getStaticPropertyName(node) {
   }
 
   if (prop) {
-    if (prop.type === 'Identifier' && !node.computed) {
+    if ((prop.type === 'Identifier' || prop.type === 'JSONIdentifier') && !node.computed) {
       return prop.name
     }
 
@@ -0,0 +1,1371 @@
+/**
+ * @fileoverview Comparators, override handling and fixer shared by the sorting rules.
+ * @author Emily M Klassen
+ */
+
+'use strict'
+
+//------------------------------------------------------------------------------
+// Requirements
+//------------------------------------------------------------------------------
+
+const astUtils = require('./ast-utils')
+const escapeStringRegexp = require('escape-string-regexp')
+const esquery = require('esquery')
+const naturalCompare = require('natural-compare')
+const presets = require('../../presets')
+
+//------------------------------------------------------------------------------
+// Typedefs
+//------------------------------------------------------------------------------
+
+/** @typedef {import('../../shared/types').ExclusifyUnion<import('estree').Node>} ASTNode */
+/**
+ * @typedef Override
+ * When no matcher such as `properties` or `esquery` is given, the object keys must be a total subset of the properties defined in `order`
+ * @property {string} [message] Message
+ * @property {string[]} [order] Property Order. Entries may be exact names, `/regex/` or glob patterns, or `...` for the unlisted names
+ * @property {string[]} [properties] Name of parent property to apply this override to.
+ * @property {string | string[]} [esquery] An esquery selector which must match to apply this override.
+ * @property {string} [variable] Name or pattern of the variable the object is assigned to in its declaration.
+ * @property {string} [callee] Name or pattern of the function the object is passed to, as in `defineConfig` or `styled.div`.
+ * @property {number} [argumentIndex] Position of the object in the arguments of the call.
+ * @property {string} [typeAnnotation] Name or pattern of the type of the variable, or of an `as` or `satisfies` expression.
+ * @property {string} [path] Pattern of the keys leading to the object from the outermost object, as in `compilerOptions.paths` or `rules[].use`.
+ * @property {boolean} [ignore] When true, key order is ignored for objects matching the parent "properties" or the "esquery" selector.
+ * @property {'allow' | 'error'} [unknownKeys] Whether keys which are not in `order` are reported (`sort-keys` only).
+ * @property {string[]} [requiredKeys] Keys which the object must have (`sort-keys` only).
+ * @property {string} [preset] Name of a built-in list of overrides, as in `package-json` or `mongodb`, to use in place of this override.
+ */
+/**
+ * @template [T=string]
+ * @typedef {(a: T, b: T) => boolean | null} IsValidOrder
+ */
+/**
+ * @typedef SortItem
+ * @property {import('eslint').Rule.Node} node member node
+ * @property {string} name member name
+ * @property {number} [sectionStart] end of the section comment which starts the group of the member. The comments up
+ * to it stay in place when the member is moved
+ */
+/**
+ * The text which moves with a member when it is sorted
+ * @typedef MemberSlot
+ * @property {[number, number]} range range of the member and the comments before it
+ * @property {[number, number]} trailing range of the comments after the member on its last line
+ */
+/**
+ * A single step of the order check. Checks are tried in turn until one returns a non-null result.
+ * @typedef OrderCheck
+ * @property {IsValidOrder<SortItem>} test test for two adjacent members
+ * @property {string} messageId message reported when the test fails
+ * @property {Record<string, string>} [data] extra message data
+ * @property {(prev: SortItem, item: SortItem) => Record<string, string>} [getData] extra message data which depends on the members
+ */
+
+//------------------------------------------------------------------------------
+// Helpers
+//------------------------------------------------------------------------------
+
+/**
+ * test blank lines
+ * @param {import('eslint').Rule.RuleContext} context context
+ * @param {import('eslint').Rule.Node} node node
+ * @param {import('eslint').Rule.Node} prevNode prevNode
+ * @returns {boolean} if there is a blank line between the prevNode and current node
+ */
+function hasBlankLineBetweenNodes(context, node, prevNode) {
+  const sourceCode = context.getSourceCode()
+
+  // Get tokens between current node and previous node
+  const tokens = prevNode && sourceCode.getTokensBetween(prevNode, node, { includeComments: true })
+
+  if (!tokens) {
+    return false
+  }
+  if (tokens.length === 0) {
+    return node.loc.start.line - prevNode.loc.end.line > 1
+  }
+  let previousToken
+
+  // check blank line between tokens
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i]
+
+    if (previousToken && token.loc.start.line - previousToken.loc.end.line > 1) {
+      return true
+    }
+    previousToken = token
+  }
+
+  // check blank line between the current node and the last token
+  if (node.loc.start.line - tokens[tokens.length - 1].loc.end.line > 1) {
+    return true
+  }
+
+  // check blank line between the first token and the previous node
+  if (tokens[0].loc.start.line - prevNode.loc.end.line > 1) {
+    return true
+  }
+  return false
+}
+
+/**
+ * Gets the last comment before a member which is on lines of its own and starts a section, as in `// --- handlers ---`
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {import('eslint').Rule.Node} node member node
+ * @param {(comment: import('estree').Comment) => boolean} isSectionComment checks if a comment starts a section
+ * @returns {import('estree').Comment | null} section comment
+ */
+function getSectionComment(sourceCode, node, isSectionComment) {
+  const comments = sourceCode.getCommentsBefore(node)
+
+  for (let i = comments.length - 1; i >= 0; i--) {
+    const comment = comments[i]
+    const before = sourceCode.getTokenBefore(comment, { includeComments: true })
+    const after = sourceCode.getTokenAfter(comment, { includeComments: true })
+
+    if (
+      (!before || before.loc.end.line < comment.loc.start.line) &&
+      after.loc.start.line > comment.loc.end.line &&
+      isSectionComment(comment)
+    ) {
+      return comment
+    }
+  }
+  return null
+}
+
+/**
+ * Function to check that 2 names are proper all caps order
+ * @param {string} a first value
+ * @param {string} b second value
+ * @returns {boolean | null} if the values are in valid order; null if both are all caps or both not all caps
+ * @private
+ */
+function isValidAllCapsTest(a, b) {
+  const aIsAllCaps = a === a.toUpperCase()
+  const bIsAllCaps = b === b.toUpperCase()
+
+  return aIsAllCaps === bIsAllCaps ? null : aIsAllCaps && !bIsAllCaps
+}
+
+/**
+ * Create a test which checks that members matching a predicate come before the others
+ * @template T
+ * @param {(item: T) => boolean} predicate group predicate
+ * @returns {IsValidOrder<T>} test; null if both or neither of the values match
+ */
+function groupTest(predicate) {
+  return (a, b) => {
+    const aMatches = Boolean(predicate(a))
+
+    return aMatches === Boolean(predicate(b)) ? null : aMatches
+  }
+}
+
+/**
+ * reverse order function
+ * @template T
+ * @param {IsValidOrder<T>} isValidOrder order function
+ * @returns {IsValidOrder<T>} reversed order function
+ */
+const reverseOrder = isValidOrder => (a, b) => isValidOrder(b, a) // eslint-disable-line func-style
+
+const returnNull = () => null // eslint-disable-line func-style
+
+/**
+ * transform test
+ * @template T
+ * @param {'ignore' | 'first' | 'last'} option Option value
+ * @param {IsValidOrder<T>} isValidOrder base test
+ * @returns {IsValidOrder<T>} new test
+ */
+function firstLastTest(option, isValidOrder) {
+  switch (option) {
+    case 'first':
+      return isValidOrder
+    case 'last':
+      return reverseOrder(isValidOrder)
+    default:
+      return returnNull
+  }
+}
+
+/**
+ * Functions which check that the given 2 names are in specific order.
+ *
+ * Postfix `I` is meant insensitive.
+ * Postfix `N` is meant natural.
+ * @type {Record<`${'asc'|'desc'}${''|'I'}${''|'N'}`, IsValidOrder>}
+ * @private
+ */
+// @ts-ignore
+const isValidOrders = {
+  asc(a, b) {
+    return a <= b
+  },
+  ascI(a, b) {
+    return a.toLowerCase() <= b.toLowerCase()
+  },
+  ascN(a, b) {
+    return naturalCompare(a, b) <= 0
+  },
+  ascIN(a, b) {
+    return naturalCompare(a.toLowerCase(), b.toLowerCase()) <= 0
+  },
+}
+
+Object.keys(isValidOrders).forEach(asc => {
+  const desc = `desc${asc.slice(3)}`
+
+  isValidOrders[desc] = Object.defineProperty(reverseOrder(isValidOrders[asc]), 'name', { value: desc })
+})
+
+/**
+ * @typedef Collation
+ * @property {'base' | 'accent' | 'case' | 'variant'} [sensitivity] Which differences between letters are significant
+ * @property {boolean} [numeric] Compare numbers in keys by value
+ * @property {'upper' | 'lower' | 'false'} [caseFirst] Whether upper or lower case sorts first
+ * @property {boolean} [ignorePunctuation] Ignore punctuation
+ */
+
+/**
+ * Create the alphabetical order test for the rule options. When a `locale` is set, names are compared with
+ * `Intl.Collator`, otherwise by code point.
+ * @param {'asc' | 'desc'} order order
+ * @param {{caseSensitive?: boolean, natural?: boolean, locale?: string, collation?: Collation}} options rule options
+ * @returns {IsValidOrder} order test
+ */
+function createAlphabeticalOrder(order, options) {
+  const insensitive = options.caseSensitive === false
+  const natural = Boolean(options.natural)
+
+  if (!options.locale) {
+    if (options.collation) {
+      throw new Error('Invalid options: "collation" is only used with "locale".')
+    }
+    return isValidOrders[`${order}${insensitive ? 'I' : ''}${natural ? 'N' : ''}`]
+  }
+
+  const collation = options.collation || {}
+  const collator = new Intl.Collator(options.locale === 'default' ? [] : options.locale, {
+    sensitivity: collation.sensitivity || (insensitive ? 'accent' : 'variant'),
+    numeric: typeof collation.numeric === 'boolean' ? collation.numeric : natural,
+    caseFirst: collation.caseFirst || 'false',
+    ignorePunctuation: Boolean(collation.ignorePunctuation),
+  })
+
+  /**
+   * Check that 2 names are in ascending order for the locale
+   * @param {string} a first name
+   * @param {string} b second name
+   * @returns {boolean} if the names are in valid order
+   */
+  function isValidOrder(a, b) {
+    return collator.compare(a, b) <= 0
+  }
+
+  return order === 'asc' ? isValidOrder : reverseOrder(isValidOrder)
+}
+
+/** Entry of a custom order which marks the position of the names not matched by any other entry */
+const restPlaceholder = '...'
+
+/**
+ * Create a matcher for a pattern entry of a custom order: a regular expression such as `/^aria-/`, or a glob such as
+ * `on*` where `*` matches any characters and `?` matches one character.
+ * @param {string} entry order entry
+ * @returns {((name: string) => boolean) | null} matcher, or null if the entry is an exact name
+ */
+function createOrderPatternMatcher(entry) {
+  const regexMatch = /^\/(.+)\/([a-z]*)$/u.exec(entry)
+
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/gu, ''))
+
+    return name => regex.test(name)
+  }
+  if (/[*?]/u.test(entry)) {
+    const regex = new RegExp(`^${escapeStringRegexp(entry).replace(/\\\*/gu, '.*').replace(/\\\?/gu, '.')}$`, 'u')
+
+    return name => regex.test(name)
+  }
+  return null
+}
+
+/**
+ * Create a matcher for a name, which may be a pattern as in a custom order
+ * @param {string} entry exact name, `/regex/` or glob pattern
+ * @returns {(name: string) => boolean} matcher
+ */
+function createNameMatcher(entry) {
+  return createOrderPatternMatcher(entry) || (name => name === entry)
+}
+
+/**
+ * Get the exact names of a custom order, leaving out patterns and the rest placeholder
+ * @param {string[]} order custom order of properties
+ * @returns {string[]} names
+ */
+function getOrderNames(order) {
+  return order.filter(entry => entry !== restPlaceholder && !createOrderPatternMatcher(entry))
+}
+
+/**
+ * Create a test for whether a name is listed in a custom order, exactly or by a pattern. The `...` placeholder lists
+ * no name.
+ * @param {string[]} order custom order of properties
+ * @returns {(name: string) => boolean} test
+ */
+function createOrderMatcher(order) {
+  const names = new Set(getOrderNames(order))
+  const patterns = order.map(createOrderPatternMatcher).filter(matches => matches !== null)
+
+  return name => names.has(name) || patterns.some(matches => matches(name))
+}
+
+/**
+ * Create a function which gets the rank of a name in a custom order.
+ *
+ * A name listed exactly takes the position of that entry. Otherwise, it takes the position of the first pattern it
+ * matches, then of the `...` placeholder, or else goes after all the entries.
+ * @param {string[]} order custom order of properties
+ * @returns {(name: string) => number} rank function
+ */
+function createOrderRanker(order) {
+  /** @type {Map<string, number>} */
+  const exact = new Map()
+  /** @type {{matches: (name: string) => boolean, rank: number}[]} */
+  const patterns = []
+  let restRank = order.length
+
+  order.forEach((entry, rank) => {
+    if (entry === restPlaceholder) {
+      restRank = Math.min(restRank, rank)
+      return
+    }
+
+    const matches = createOrderPatternMatcher(entry)
+
+    if (matches) {
+      patterns.push({ matches, rank })
+    } else if (!exact.has(entry)) {
+      exact.set(entry, rank)
+    }
+  })
+
+  return name => {
+    if (exact.has(name)) {
+      return exact.get(name)
+    }
+
+    const pattern = patterns.find(candidate => candidate.matches(name))
+
+    return pattern ? pattern.rank : restRank
+  }
+}
+
+/**
+ * Customize
+ * @param {string[]} order custom order of properties, which may include patterns and the `...` placeholder
+ * @returns {IsValidOrder} comparator; null if both names have the same rank
+ */
+function validCustomOrderComparator(order) {
+  const getRank = createOrderRanker(order)
+
+  return (a, b) => {
+    const aRank = getRank(a)
+    const bRank = getRank(b)
+
+    return aRank === bRank ? null : aRank < bRank
+  }
+}
+
+/**
+ * Run the order checks on two adjacent members
+ * @param {OrderCheck[]} checks checks, in order of precedence
+ * @param {SortItem} prev previous member
+ * @param {SortItem} item current member
+ * @returns {OrderCheck | null} the failed check, or null if the members are in valid order
+ */
+function getOrderViolation(checks, prev, item) {
+  for (const check of checks) {
+    const isValid = check.test(prev, item)
+
+    if (isValid === false) {
+      return check
+    }
+    if (isValid) {
+      return null
+    }
+  }
+  return null
+}
+
+/**
+ * Sort comparator matching `getOrderViolation`, used by the fixer.
+ * @param {OrderCheck[]} checks checks, in order of precedence
+ * @param {SortItem} a first member
+ * @param {SortItem} b second member
+ * @returns {number} comparison result
+ */
+function compareItems(checks, a, b) {
+  if (getOrderViolation(checks, a, b)) {
+    return 1
+  }
+  return getOrderViolation(checks, b, a) ? -1 : 0
+}
+
+/** TypeScript expressions which give a type to the expression inside them */
+const typedExpressionTypes = new Set(['TSAsExpression', 'TSSatisfiesExpression', 'TSTypeAssertion'])
+
+/**
+ * Gets the name of a function or object, as in `defineConfig`, `styled.div` or `this.setState`
+ * @param {any} node expression node
+ * @returns {string | null} dotted name, or null if the expression is not a chain of names
+ */
+function getDottedName(node) {
+  switch (node.type) {
+    case 'Identifier':
+      return node.name
+    case 'ThisExpression':
+      return 'this'
+    case 'MemberExpression': {
+      const objectName = !node.computed && node.property.type === 'Identifier' && getDottedName(node.object)
+
+      return objectName ? `${objectName}.${node.property.name}` : null
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Gets the name of a type reference, as in `Props` or `React.CSSProperties`, ignoring type arguments
+ * @param {any} node type node
+ * @returns {string | null} type name, or null if the type is not a reference
+ */
+function getTypeName(node) {
+  if (!node || node.type !== 'TSTypeReference') {
+    return null
+  }
+
+  /**
+   * Gets the name of an entity, as in `A.B`
+   * @param {any} entity `Identifier` or `TSQualifiedName` node
+   * @returns {string} name
+   */
+  function getEntityName(entity) {
+    return entity.type === 'TSQualifiedName' ? `${getEntityName(entity.left)}.${entity.right.name}` : entity.name
+  }
+  return getEntityName(node.typeName)
+}
+
+/**
+ * Check if a node matches an esquery selector
+ * @param {ASTNode} node AST Node
+ * @param {any} selector parsed selector
+ * @returns {boolean} if the node matches
+ */
+function matchesSelector(node, selector) {
+  /** @type {ASTNode[]} */
+  const ancestry = []
+  let ancestor = node.parent
+
+  while (ancestor) {
+    ancestry.push(ancestor)
+    ancestor = ancestor.parent
+  }
+  return esquery.matches(node, selector, ancestry)
+}
+
+/**
+ * Parse the `esquery` option of an override
+ * @param {string | string[]} selector one or more selectors
+ * @returns {any} parsed selector
+ */
+function parseSelector(selector) {
+  return typeof selector === 'string'
+    ? esquery.parse(selector)
+    : { type: 'matches', selectors: selector.map(item => esquery.parse(item)) }
+}
+
+/**
+ * Gets the keys leading to an object from the outermost object or array it is nested in. An element of an array is
+ * written as a `[]` segment, and a key without a static name as an empty segment.
+ * @param {any} node object node
+ * @returns {string[]} path segments
+ */
+function getObjectPath(node) {
+  const segments = []
+  let current = node
+
+  for (;;) {
+    const parent = current.parent
+
+    if (parent && (parent.type === 'Property' || parent.type === 'JSONProperty') && parent.value === current) {
+      const name = astUtils.getStaticPropertyName(parent)
+
+      segments.unshift(name === null ? '' : name)
+      current = parent.parent
+    } else if (parent && (parent.type === 'ArrayExpression' || parent.type === 'JSONArrayExpression')) {
+      segments.unshift('[]')
+      current = parent
+    } else {
+      return segments
+    }
+  }
+}
+
+/**
+ * Create a matcher for the `path` of an override. Segments are separated by `.`, and `[]` after a segment matches an
+ * element of the array at that key. A `*` in a segment matches any characters, and a `**` segment matches any number
+ * of segments.
+ * @param {string} pattern path pattern, as in `compilerOptions.paths`, `**.$match` or `rules[].use`
+ * @returns {(segments: string[]) => boolean} matcher
+ */
+function createPathMatcher(pattern) {
+  const patternSegments = pattern
+    .split('.')
+    .flatMap(segment => {
+      const arrayMatch = /^(.*?)((?:\[\])*)$/u.exec(segment)
+
+      return [arrayMatch[1], ...(arrayMatch[2].match(/\[\]/gu) || [])]
+    })
+    .filter(segment => segment !== '')
+    .map(segment => (segment === '**' ? null : createNameMatcher(segment)))
+
+  /**
+   * Match the segments of a path from the given positions
+   * @param {string[]} segments path segments
+   * @param {number} i position in the pattern
+   * @param {number} j position in the path
+   * @returns {boolean} if the rest of the path matches the rest of the pattern
+   */
+  function matchesFrom(segments, i, j) {
+    if (i === patternSegments.length) {
+      return j === segments.length
+    }
+
+    const matchesSegment = patternSegments[i]
+
+    if (!matchesSegment) {
+      return matchesFrom(segments, i + 1, j) || (j < segments.length && matchesFrom(segments, i, j + 1))
+    }
+    return j < segments.length && matchesSegment(segments[j]) && matchesFrom(segments, i + 1, j + 1)
+  }
+
+  return segments => matchesFrom(segments, 0, 0)
+}
+
+/**
+ * Create a test for the `variable`, `callee`, `argumentIndex`, `typeAnnotation` and `path` matchers of an override,
+ * which look at where the object is written: the declaration it initializes, the call it is passed to, or the keys
+ * leading to it. Any `properties` or `esquery` of the same override must match as well.
+ * @param {Override} override override
+ * @returns {((node: ASTNode, parentName: string | null | undefined) => boolean) | null} test, or null if the override has none of these matchers
+ */
+function createContextMatcher(override) {
+  const hasArgumentIndex = typeof override.argumentIndex === 'number'
+
+  if (!override.variable && !override.callee && !hasArgumentIndex && !override.typeAnnotation && !override.path) {
+    return null
+  }
+
+  const matchesVariable = override.variable ? createNameMatcher(override.variable) : null
+  const matchesCallee = override.callee ? createNameMatcher(override.callee) : null
+  const matchesType = override.typeAnnotation ? createNameMatcher(override.typeAnnotation) : null
+  const matchesPath = override.path ? createPathMatcher(override.path) : null
+  const selector = override.esquery ? parseSelector(override.esquery) : null
+
+  return (node, parentName) => {
+    /** @type {(string | null)[]} */
+    const typeNames = []
+    /** @type {any} */
+    let expression = node.type === 'ClassBody' ? node.parent : node
+
+    while (expression.parent && typedExpressionTypes.has(expression.parent.type)) {
+      if (expression.parent.expression !== expression) {
+        break
+      }
+      expression = expression.parent
+      typeNames.push(getTypeName(expression.typeAnnotation))
+    }
+
+    const parent = expression.parent
+    const declarator = parent && parent.type === 'VariableDeclarator' && parent.init === expression ? parent : null
+    const call =
+      parent && (parent.type === 'CallExpression' || parent.type === 'NewExpression') && parent.callee !== expression
+        ? parent
+        : null
+
+    if (declarator && declarator.id.typeAnnotation) {
+      typeNames.push(getTypeName(declarator.id.typeAnnotation.typeAnnotation))
+    }
+
+    if (
+      matchesVariable &&
+      !(declarator && declarator.id.type === 'Identifier' && matchesVariable(declarator.id.name))
+    ) {
+      return false
+    }
+    if (matchesCallee && !(call && matchesCallee(getDottedName(call.callee) || ''))) {
+      return false
+    }
+    if (hasArgumentIndex && !(call && call.arguments.indexOf(expression) === override.argumentIndex)) {
+      return false
+    }
+    if (matchesType && !typeNames.some(name => name !== null && matchesType(name))) {
+      return false
+    }
+    if (matchesPath && !matchesPath(getObjectPath(expression))) {
+      return false
+    }
+    if (override.properties && !override.properties.includes(parentName)) {
+      return false
+    }
+    return !selector || matchesSelector(node, selector)
+  }
+}
+
+/** Options of an override which choose the objects it applies to */
+const matcherOptions = ['properties', 'esquery', 'variable', 'callee', 'argumentIndex', 'typeAnnotation', 'path']
+
+/**
+ * Check the `overrides` option for mistakes which the schema cannot express, such as an invalid selector or an
+ * override which applies to no object.
+ * @param {Override[]} overrides overrides option
+ * @returns {void}
+ * @throws {Error} naming the position of the first invalid override, as in `overrides[2]`
+ */
+function validateOverrides(overrides) {
+  overrides.forEach((override, index) => {
+    /**
+     * Throw an error about this override
+     * @param {string} problem what is wrong
+     * @returns {never} never returns
+     */
+    function fail(problem) {
+      throw new Error(`Invalid option overrides[${index}]: ${problem}`)
+    }
+
+    const keys = Object.keys(override)
+
+    if (override.preset) {
+      if (!Object.prototype.hasOwnProperty.call(presets, override.preset)) {
+        fail(`unknown preset "${override.preset}".`)
+      }
+      if (keys.length > 1) {
+        const others = keys.filter(key => key !== 'preset').map(key => `"${key}"`)
+
+        fail(`"preset" cannot be combined with ${others.join(', ')}.`)
+      }
+      return
+    }
+    if (override.ignore && override.order) {
+      fail('"ignore" and "order" conflict, since an ignored object has no order.')
+    }
+    if (!override.ignore && !override.order) {
+      fail('needs an "order", or "ignore": true.')
+    }
+    if (!override.order && (override.unknownKeys || override.requiredKeys)) {
+      fail('"unknownKeys" and "requiredKeys" are only used with an "order".')
+    }
+    if (override.unknownKeys === 'error' && override.order.includes(restPlaceholder)) {
+      fail(`"unknownKeys": "error" cannot be used with "${restPlaceholder}" in "order", which allows any key.`)
+    }
+    if (!override.order && !matcherOptions.some(key => keys.includes(key))) {
+      const names = matcherOptions.map(key => `"${key}"`).join(', ')
+
+      fail(`"ignore" needs one of ${names} to choose the objects it applies to.`)
+    }
+    if (override.order) {
+      const duplicate = override.order.find((entry, i) => override.order.indexOf(entry) !== i)
+
+      if (typeof duplicate === 'string') {
+        fail(`"order" lists "${duplicate}" more than once.`)
+      }
+    }
+    if (override.esquery) {
+      try {
+        parseSelector(override.esquery)
+      } catch (error) {
+        fail(`invalid "esquery" selector: ${error.message}`)
+      }
+    }
+    try {
+      createContextMatcher(override)
+      if (override.order) {
+        override.order.forEach(entry => createOrderPatternMatcher(entry))
+      }
+    } catch (error) {
+      fail(error.message)
+    }
+    if (override.unknownKeys === 'error' && override.requiredKeys) {
+      const isListed = createOrderMatcher(override.order)
+      const unlisted = override.requiredKeys.find(name => !isListed(name))
+
+      if (typeof unlisted === 'string') {
+        fail(`"requiredKeys" has "${unlisted}", which is an unknown key since it is not in "order".`)
+      }
+    }
+  })
+}
+
+/**
+ * Override found for a node
+ * @typedef FoundOverride
+ * @property {Override} override override, which may come from a preset
+ * @property {string} description position of the override in the `overrides` option for messages, as in `overrides[1]`
+ * or `overrides[0] (package-json preset)`
+ */
+
+/**
+ * Parsed `overrides` option, by the way each override is matched
+ * @typedef ParsedOverrides
+ * @property {(FoundOverride & {matches: (node: ASTNode, parentName: string | null | undefined) => boolean})[]} contextOverrides overrides which match where the object is written
+ * @property {Map<string | undefined, FoundOverride>} propOverrides overrides by the names in their `properties`
+ * @property {(FoundOverride & {selector: any})[]} esqueryOverrides overrides with an `esquery` selector
+ * @property {(FoundOverride & {isListed: (name: string) => boolean})[]} keySetOverrides overrides which match the keys of the object
+ */
+
+/**
+ * The `overrides` options which have been checked and parsed, since ESLint creates a rule again for each file with the
+ * same options
+ * @type {WeakMap<Override[], ParsedOverrides>}
+ */
+const parsedOverrides = new WeakMap()
+
+/**
+ * Check and parse the `overrides` option, once for each options object
+ * @param {Override[]} overrides overrides option
+ * @returns {ParsedOverrides} parsed overrides
+ * @throws {Error} naming the position of the first invalid override, as in `overrides[2]`
+ */
+function parseOverrides(overrides) {
+  const cached = parsedOverrides.get(overrides)
+
+  if (cached) {
+    return cached
+  }
+
+  validateOverrides(overrides)
+
+  // A preset stands for its list of overrides, in its place
+  /** @type {FoundOverride[]} */
+  const expanded = overrides.flatMap((override, index) =>
+    override.preset
+      ? presets[override.preset].map(item => ({
+          override: item,
+          description: `overrides[${index}] (${override.preset} preset)`,
+        }))
+      : [{ override, description: `overrides[${index}]` }],
+  )
+  // Overrides which match where the object is written are the most specific, so they are tried first
+  const contextOverrides = expanded
+    .map(found => ({ ...found, matches: createContextMatcher(found.override) }))
+    .filter(candidate => candidate.matches)
+  const otherOverrides = expanded.filter(
+    found => !contextOverrides.some(candidate => candidate.override === found.override),
+  )
+  /** @type {ParsedOverrides} */
+  const parsed = {
+    contextOverrides,
+    propOverrides: new Map(
+      otherOverrides.flatMap(found =>
+        found.override.properties ? found.override.properties.map(property => [property, found]) : [],
+      ),
+    ),
+    esqueryOverrides: otherOverrides
+      .filter(found => found.override.esquery)
+      .map(found => ({ ...found, selector: parseSelector(found.override.esquery) })),
+    // Key-set overrides are matched when a node is visited, trying the shortest `order` first, since precomputing
+    // every subset of a long `order` takes exponential time.
+    keySetOverrides: otherOverrides
+      .filter(found => !found.override.esquery && !found.override.properties)
+      .map(found => ({ ...found, isListed: createOrderMatcher(found.override.order) }))
+      .sort((a, b) => a.override.order.length - b.override.order.length),
+  }
+
+  parsedOverrides.set(overrides, parsed)
+  return parsed
+}
+
+/**
+ * Parse the `overrides` option so that the override for a node can be looked up.
+ * @param {Override[]} overrides overrides option
+ * @param {number} minKeys minimum number of keys
+ * @returns {(node: ASTNode, parentName: string | undefined, names: string[]) => FoundOverride | undefined} finds the override for a node
+ */
+function createOverrideFinder(overrides, minKeys) {
+  const { contextOverrides, propOverrides, esqueryOverrides, keySetOverrides } = parseOverrides(overrides)
+
+  return (node, parentName, names) => {
+    /** @type {FoundOverride | undefined} */
+    let found = contextOverrides.find(candidate => candidate.matches(node, parentName)) || propOverrides.get(parentName)
+
+    if (!found && esqueryOverrides.length > 0) {
+      found = esqueryOverrides.find(candidate => matchesSelector(node, candidate.selector))
+    }
+    if (!found && keySetOverrides.length > 0 && names.length >= minKeys) {
+      found = keySetOverrides.find(candidate => names.every(candidate.isListed))
+    }
+    return found && { override: found.override, description: found.description }
+  }
+}
+
+/**
+ * Splits the members of a node into runs which can be sorted independently.
+ *
+ * Members without a name are never moved, so they end a run.
+ * When `allowLineSeparatedGroups` is set, a blank line between two members also ends a run.
+ * When `isSectionComment` is given, so does a section comment on lines of its own before a member, which stays in
+ * place.
+ * Skipped members are never moved either, but the members on each side of them are sorted together.
+ * @param {import('eslint').Rule.RuleContext} context context
+ * @param {import('eslint').Rule.Node[]} members member nodes
+ * @param {(member: import('eslint').Rule.Node) => string | null} getName gets the name of a member, or null if it cannot be moved
+ * @param {boolean} allowLineSeparatedGroups split on blank lines
+ * @param {((member: import('eslint').Rule.Node) => boolean) | null} [isSkipped] checks if a member is skipped
+ * @param {((comment: import('estree').Comment) => boolean) | null} [isSectionComment] checks if a comment starts a section
+ * @returns {SortItem[][]} groups of named members
+ */
+function getSortableGroups(context, members, getName, allowLineSeparatedGroups, isSkipped, isSectionComment) {
+  const sourceCode = context.getSourceCode()
+  const groups = []
+  let group = []
+  let prevNode = null
+
+  for (const member of members) {
+    if (isSkipped && isSkipped(member)) {
+      continue
+    }
+
+    const name = getName(member)
+    const section = isSectionComment ? getSectionComment(sourceCode, member, isSectionComment) : null
+
+    if (
+      name === null ||
+      section ||
+      (allowLineSeparatedGroups && prevNode && hasBlankLineBetweenNodes(context, member, prevNode))
+    ) {
+      groups.push(group)
+      group = []
+    }
+    if (name !== null) {
+      group.push(section ? { node: member, name, sectionStart: section.range[1] } : { node: member, name })
+    }
+    prevNode = member
+  }
+  groups.push(group)
+
+  return groups.filter(g => g.length > 1)
+}
+
+/**
+ * Check if a token is a `,` or `;` which separates members
+ * @param {import('eslint').AST.Token} token token
+ * @returns {boolean} if the token is a separator
+ */
+function isSeparator(token) {
+  return token.type === 'Punctuator' && (token.value === ';' || token.value === ',')
+}
+
+/**
+ * Gets the comments before a member which move with it: all of them, or those after the section comment which starts
+ * its group
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {SortItem} item member
+ * @returns {import('estree').Comment[]} comments
+ */
+function getLeadingComments(sourceCode, item) {
+  const comments = sourceCode.getCommentsBefore(item.node)
+
+  return item.sectionStart ? comments.filter(comment => comment.range[0] >= item.sectionStart) : comments
+}
+
+/**
+ * Get the range of a member, including the comments before it, and the comments between it and the `,` after it.
+ * A trailing `;` or `,` which separates TypeScript interface members is left in place, while the semicolon of a
+ * class field moves with the field.
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {SortItem} item member
+ * @returns {[number, number]} range
+ */
+function getMemberRange(sourceCode, item) {
+  const node = item.node
+  const comments = getLeadingComments(sourceCode, item)
+  const start = comments.length > 0 ? comments[0].range[0] : node.range[0]
+  const lastToken = sourceCode.getLastToken(node)
+  const nextToken = sourceCode.getTokenAfter(node)
+
+  if (node.parent.type !== 'ClassBody' && isSeparator(lastToken)) {
+    return [start, sourceCode.getTokenBefore(lastToken, { includeComments: true }).range[1]]
+  }
+  if (nextToken && nextToken.value === ',') {
+    return [start, sourceCode.getTokenBefore(nextToken, { includeComments: true }).range[1]]
+  }
+  return [start, node.range[1]]
+}
+
+/**
+ * Get the last token of a member, including the `,` after an object property
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {import('eslint').Rule.Node} node member node
+ * @returns {import('eslint').AST.Token} last token
+ */
+function getMemberEndToken(sourceCode, node) {
+  const lastToken = sourceCode.getLastToken(node)
+  const nextToken = sourceCode.getTokenAfter(node)
+
+  return !isSeparator(lastToken) && nextToken && nextToken.value === ',' ? nextToken : lastToken
+}
+
+/**
+ * Get the ranges of text which move with each member of a group.
+ *
+ * When every member ends its line, comments follow the member they describe: a comment after a member on the same
+ * line, as in `a: 1, // note`, moves with that member, and a comment on the line of the previous member or of the
+ * opening brace is not moved with the next one. Otherwise a comment moves with the member before it when it comes
+ * before the `,` or the closing bracket, and with the member after it when it comes after the `,`. The
+ * whitespace and separators between members are never moved, so blank lines, trailing commas and line endings stay
+ * as they are.
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {SortItem[]} group members
+ * @returns {MemberSlot[]} slots
+ */
+function getMemberSlots(sourceCode, group) {
+  const endTokens = group.map(item => getMemberEndToken(sourceCode, item.node))
+  const endsLine = endTokens.every(token => {
+    const nextToken = sourceCode.getTokenAfter(token)
+
+    return !nextToken || nextToken.loc.start.line > token.loc.end.line
+  })
+
+  return group.map((item, i) => {
+    const node = item.node
+    const range = getMemberRange(sourceCode, item)
+    const endToken = endTokens[i]
+
+    if (!endsLine) {
+      // A comment between the last member and the closing bracket describes that member
+      const after =
+        i === group.length - 1 && !isSeparator(endToken)
+          ? sourceCode.getCommentsAfter(endToken).filter(comment => comment.loc.start.line === endToken.loc.end.line)
+          : []
+
+      return {
+        range: after.length > 0 ? [range[0], after[after.length - 1].range[1]] : range,
+        trailing: [endToken.range[1], endToken.range[1]],
+      }
+    }
+
+    const lineBefore = sourceCode.getTokenBefore(node).loc.end.line
+    const leading = getLeadingComments(sourceCode, item).filter(comment => comment.loc.start.line > lineBefore)
+    const trailing = sourceCode
+      .getCommentsAfter(endToken)
+      .filter(comment => comment.loc.start.line === endToken.loc.end.line)
+
+    return {
+      range: [leading.length > 0 ? leading[0].range[0] : node.range[0], range[1]],
+      trailing: [endToken.range[1], trailing.length > 0 ? trailing[trailing.length - 1].range[1] : endToken.range[1]],
+    }
+  })
+}
+
+/**
+ * Get the replacements which move a member from one slot into another
+ * @param {import('eslint').SourceCode} sourceCode source code
+ * @param {MemberSlot} to slot to replace
+ * @param {MemberSlot} from slot of the member to move
+ * @returns {{range: [number, number], text: string}[]} replacements
+ */
+function getSlotReplacements(sourceCode, to, from) {
+  const replacements = [{ range: to.range, text: sourceCode.text.slice(...from.range) }]
+  const trailingText = sourceCode.text.slice(...from.trailing)
+
+  if (trailingText || to.trailing[0] !== to.trailing[1]) {
+    replacements.push({ range: to.trailing, text: trailingText })
+  }
+  return replacements
+}
+
+/**
+ * create fixer which sorts every group of members at once
+ * @param {import('eslint').Rule.RuleContext} context context
+ * @param {SortItem[][]} groups groups of members, from `getSortableGroups`
+ * @param {(a: SortItem, b: SortItem) => number} compare sort comparator
+ * @returns {import('eslint').Rule.ReportFixer} fixer
+ */
+function createFixer(context, groups, compare) {
+  const sourceCode = context.getSourceCode()
+
+  /**
+   * Get the replacements which put every group into sorted order
+   * @returns {{range: [number, number], text: string}[]} replacements
+   */
+  function getReplacements() {
+    const result = []
+
+    for (const group of groups) {
+      const slots = getMemberSlots(sourceCode, group)
+      const sorted = group.slice().sort(compare)
+
+      sorted.forEach((item, i) => {
+        if (item !== group[i]) {
+          result.push(...getSlotReplacements(sourceCode, slots[i], slots[group.indexOf(item)]))
+        }
+      })
+    }
+    return result
+  }
+
+  /** @type {{range: [number, number], text: string}[] | undefined} */
+  let replacements
+
+  return function fix(fixer) {
+    if (!replacements) {
+      replacements = getReplacements()
+    }
+
+    return replacements.map(({ range, text }) => fixer.replaceTextRange(range, text))
+  }
+}
+
+/**
+ * create fixer which swaps a member with the member before it, leaving the rest in place
+ * @param {import('eslint').Rule.RuleContext} context context
+ * @param {SortItem} prev previous member
+ * @param {SortItem} item member to move before `prev`
+ * @returns {import('eslint').Rule.ReportFixer} fixer
+ */
+function createMoveFixer(context, prev, item) {
+  const sourceCode = context.getSourceCode()
+  const [prevSlot, itemSlot] = getMemberSlots(sourceCode, [prev, item])
+  const replacements = [
+    ...getSlotReplacements(sourceCode, prevSlot, itemSlot),
+    ...getSlotReplacements(sourceCode, itemSlot, prevSlot),
+  ]
+
+  return function fix(fixer) {
+    return replacements.map(({ range, text }) => fixer.replaceTextRange(range, text))
+  }
+}
+
+/**
+ * Check if a custom message has placeholders, as in `{{expected}}`
+ * @param {string} message message
+ * @returns {boolean} if the message has placeholders
+ */
+function hasPlaceholders(message) {
+  return /\{\{\s*\w+\s*\}\}/u.test(message)
+}
+
+/**
+ * create report descriptor. A custom message of an override is followed by the names of the members, unless it has
+ * placeholders of its own, as in `{{expected}}`.
+ * @param {import('eslint').Rule.Node} node node
+ * @param {import('eslint').Rule.ReportFixer | null} fix fixer, or null when the report is not fixable
+ * @param {string} messageId message id
+ * @param {{thisName: string, prevName: string, overrideMessage?: string, [key: string]: any}} data message data
+ * @returns {import('eslint').Rule.ReportDescriptor} report descriptor
+ */
+function createReportDescriptor(node, fix, messageId, data) {
+  let reportMessage = { messageId }
+
+  if (data.overrideMessage) {
+    reportMessage = {
+      message: hasPlaceholders(data.overrideMessage)
+        ? data.overrideMessage
+        : `${data.overrideMessage} '{{thisName}}' should be before '{{prevName}}'.`,
+    }
+  }
+  /** @type {import('eslint').Rule.ReportDescriptor} */
+  const report = {
+    node,
+    loc: node.key ? node.key.loc : node.loc,
+    ...reportMessage,
+    data,
+  }
+
+  if (fix) {
+    report.fix = fix
+  }
+  return report
+}
+
+/**
+ * Gets the message data of a failed order check between two adjacent members
+ * @param {OrderCheck} violation the failed check
+ * @param {SortItem} prev previous member
+ * @param {SortItem} item current member
+ * @param {Record<string, string>} [data] extra message data
+ * @returns {{thisName: string, prevName: string, [key: string]: any}} message data
+ */
+function getViolationData(violation, prev, item, data) {
+  return {
+    thisName: item.name,
+    prevName: prev.name,
+    ...violation.data,
+    ...(violation.getData && violation.getData(prev, item)),
+    ...data,
+  }
+}
+
+/**
+ * Report a failed order check between two adjacent members
+ * @param {import('eslint').Rule.RuleContext} context context
+ * @param {OrderCheck} violation the failed check
+ * @param {SortItem} prev previous member
+ * @param {SortItem} item current member
+ * @param {import('eslint').Rule.ReportFixer | null} fix fixer, or null when the report is not fixable
+ * @param {Record<string, string>} [data] extra message data
+ * @returns {void}
+ */
+function reportViolation(context, violation, prev, item, fix, data) {
+  context.report(
+    createReportDescriptor(item.node, fix, violation.messageId, getViolationData(violation, prev, item, data)),
+  )
+}
+
+/**
+ * Options shared by the rules built on `createMemberSorter`
+ * @typedef MemberSorterOptions
+ * @property {boolean} [caseSensitive] Use case sensitive sorting
+ * @property {boolean} [natural] Use natural sorting
+ * @property {string} [locale] Compare names with `Intl.Collator` for this locale
+ * @property {Collation} [collation] `Intl.Collator` options
+ * @property {number} [minKeys] Minimum Keys
+ * @property {boolean} [allowLineSeparatedGroups] Allow Line Separated Groups
+ * @property {boolean} [ignoreSingleLine] Ignore Single Line
+ * @property {'first' | 'last' | 'ignore'} [allCaps] All Caps option
+ * @property {Override[]} [overrides] Overrides options
+ */
+
+/**
+ * What a rule built on `createMemberSorter` sorts
+ * @typedef MemberSorterConfig
+ * @property {{order: string, allCaps: string, override: string}} messageIds messages of the alphabetical, all caps and
+ * override checks
+ * @property {(member: any) => string | null} getName gets the name of a member, or null if it cannot be moved
+ * @property {OrderCheck[]} [checks] checks which come before the all caps check, as groups do
+ * @property {OrderCheck[]} [checksAfterAllCaps] checks which come after the all caps check, as shorthand does
+ * @property {(node: any) => boolean} [canFix] checks if the members of a node can be reordered without changing what
+ * the code does
+ * @property {(parentName: string) => string} [formatParentName] formats the parent name for the override message
+ */
+
+/**
+ * Create the check of a rule which sorts the members of a node, such as the attributes of a JSX element or the members
+ * of an enum, with the options shared by those rules: the order, `caseSensitive`, `natural`, `locale`, `minKeys`,
+ * `allowLineSeparatedGroups`, `ignoreSingleLine`, `allCaps` and `overrides`.
+ * @param {import('eslint').Rule.RuleContext} context context
+ * @param {MemberSorterConfig} config what the rule sorts
+ * @returns {(node: any, members: any[], parentName: string | null, extra?: {data?: Record<string, string>, isSkipped?: ((member: any) => boolean) | null}) => void}
+ * checks the members of a node and reports each pair out of order. The `properties` of overrides match `parentName`,
+ * `data` is added to every message, and skipped members stay in place while the members around them are sorted together.
+ */
+function createMemberSorter(context, config) {
+  /** @type {'asc' | 'desc'} */
+  const order = context.options[0] || 'asc'
+  /** @type {MemberSorterOptions} */
+  const options = context.options[1] || {}
+  const minKeys = options.minKeys || 2
+  const allowLineSeparatedGroups = options.allowLineSeparatedGroups || false
+  const ignoreSingleLine = options.ignoreSingleLine || false
+  const allCaps = options.allCaps || 'ignore'
+  const findOverride = createOverrideFinder(options.overrides || [], minKeys)
+  const isValidOrderAlpha = createAlphabeticalOrder(order, options)
+  const isValidOrderAllCaps = firstLastTest(allCaps, isValidAllCapsTest)
+  const { messageIds, getName } = config
+  const formatParentName = config.formatParentName || (name => name)
+
+  /** @type {OrderCheck[]} */
+  const baseChecks = [
+    ...(config.checks || []),
+    { test: (a, b) => isValidOrderAllCaps(a.name, b.name), messageId: messageIds.allCaps, data: { allCaps } },
+    ...(config.checksAfterAllCaps || []),
+    {
+      test: (a, b) => isValidOrderAlpha(a.name, b.name),
+      messageId: messageIds.order,
+      data: {
+        order,
+        insensitive: options.caseSensitive === false ? 'insensitive ' : '',
+        natural: options.natural ? 'natural ' : '',
+      },
+    },
+  ]
+
+  return (node, members, parentName, extra = {}) => {
+    if (members.length < minKeys || (ignoreSingleLine && node.loc.start.line === node.loc.end.line)) {
+      return
+    }
+
+    const found = findOverride(
+      node,
+      parentName,
+      members.map(getName).filter(name => name !== null),
+    )
+    const override = found && found.override
+
+    if (override && override.ignore) {
+      return
+    }
+
+    const isValidOrderOverride = override && override.order && validCustomOrderComparator(override.order)
+    /** @type {OrderCheck[]} */
+    const checks = isValidOrderOverride
+      ? [
+          {
+            test: (a, b) => isValidOrderOverride(a.name, b.name),
+            messageId: messageIds.override,
+            data: {
+              parentName: parentName ? `${formatParentName(parentName)} ` : '',
+              overrideMessage: override.message,
+            },
+          },
+          ...baseChecks,
+        ]
+      : baseChecks
+    const groups = getSortableGroups(context, members, getName, allowLineSeparatedGroups, extra.isSkipped)
+    const fix =
+      config.canFix && !config.canFix(node) ? null : createFixer(context, groups, compareItems.bind(null, checks))
+
+    for (const group of groups) {
+      for (let i = 1; i < group.length; i++) {
+        const prev = group[i - 1]
+        const item = group[i]
+        const violation = getOrderViolation(checks, prev, item)
+
+        if (violation) {
+          reportViolation(context, violation, prev, item, fix, extra.data)
+        }
+      }
+    }
+  }
+}
+
+//------------------------------------------------------------------------------
+// Schema
+//------------------------------------------------------------------------------
+
+const firstLastSchema = {
+  enum: ['first', 'last', 'ignore'],
+  default: 'ignore',
+}
+
+const overridesSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      message: { type: 'string' },
+      esquery: {
+        anyOf: [
+          { type: 'string', minLength: 1 },
+          { type: 'array', items: { type: 'string' }, minItems: 1 },
+        ],
+      },
+      // Duplicates, like the other mistakes of an override, are found by `validateOverrides`, which names the override
+      order: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'string',
+        },
+      },
+      properties: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string' },
+      },
+      variable: { type: 'string', minLength: 1 },
+      callee: { type: 'string', minLength: 1 },
+      argumentIndex: { type: 'integer', minimum: 0 },
+      typeAnnotation: { type: 'string', minLength: 1 },
+      path: { type: 'string', minLength: 1 },
+      preset: { type: 'string', minLength: 1 },
+      ignore: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+  default: [],
+}
+
+/**
+ * Option properties shared by all the sorting rules.
+ */
+const baseOptionsSchema = {
+  caseSensitive: {
+    type: 'boolean',
+    default: true,
+  },
+  natural: {
+    type: 'boolean',
+    default: false,
+  },
+  minKeys: {
+    type: 'integer',
+    minimum: 2,
+    default: 2,
+  },
+  allowLineSeparatedGroups: {
+    type: 'boolean',
+    default: false,
+  },
+  ignoreSingleLine: {
+    type: 'boolean',
+    default: false,
+  },
+  locale: {
+    type: 'string',
+    minLength: 1,
+  },
+  collation: {
+    type: 'object',
+    properties: {
+      sensitivity: { enum: ['base', 'accent', 'case', 'variant'] },
+      numeric: { type: 'boolean' },
+      caseFirst: { enum: ['upper', 'lower', 'false'] },
+      ignorePunctuation: { type: 'boolean' },
+    },
+    additionalProperties: false,
+  },
+  allCaps: firstLastSchema,
+  overrides: overridesSchema,
+}
+
+//------------------------------------------------------------------------------
+// Public Interface
+//------------------------------------------------------------------------------
+
+module.exports = {
+  baseOptionsSchema,
+  compareItems,
+  createAlphabeticalOrder,
+  createFixer,
+  createMemberSorter,
+  createMoveFixer,
+  createNameMatcher,
+  createOrderMatcher,
+  createOrderRanker,
+  createOverrideFinder,
+  createReportDescriptor,
+  firstLastSchema,
+  firstLastTest,
+  getOrderNames,
+  getOrderViolation,
+  getSectionComment,
+  getSortableGroups,
+  getViolationData,
+  groupTest,
+  hasBlankLineBetweenNodes,
+  hasPlaceholders,
+  isValidAllCapsTest,
+  isValidOrders,
+  reportViolation,
+  reverseOrder,
+  validCustomOrderComparator,
+}